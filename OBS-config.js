@@ -1,5 +1,9 @@
 const express = require('express');
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { AsyncLocalStorage } = require('async_hooks');
 const { setTimeout: wait } = require('timers/promises');
 
 let obsLibrary;
@@ -9,15 +13,54 @@ try {
   obsLibrary = null;
 }
 
+let wsLibrary;
+try {
+  wsLibrary = require('ws');
+} catch (error) {
+  wsLibrary = null;
+}
+
 const OBSWebSocket = obsLibrary?.OBSWebSocket || obsLibrary?.default || null;
+const WebSocketClient = wsLibrary?.WebSocket || wsLibrary || null;
 const app = express();
 
 const PORT = Number(process.env.PORT || 3040);
 const TOOL_SERVICE_TOKEN = process.env.TOOL_SERVICE_TOKEN || '';
 const TOOL_SIGNING_SECRET = process.env.TOOL_SERVICE_SIGNATURE_SECRET || '';
 const ACTION_RATE_LIMIT_PER_MIN = Number(process.env.TOOL_ACTION_RATE_LIMIT_PER_MIN || 60);
+const READ_RATE_LIMIT_PER_MIN = Number(process.env.TOOL_READ_RATE_LIMIT_PER_MIN || 120);
+const STREAM_RATE_LIMIT_PER_MIN = Number(process.env.TOOL_STREAM_RATE_LIMIT_PER_MIN || 4);
+const RATE_LIMITS_PATH = process.env.TOOL_RATE_LIMITS_PATH || '';
 const TOOL_SERVICE_TIMEOUT_MS = Number(process.env.TOOL_SERVICE_TIMEOUT_MS || 25000);
+const LOG_LEVEL = String(process.env.LOG_LEVEL || 'info').trim().toLowerCase();
 const JOB_TTL_MS = Number(process.env.TOOL_JOB_TTL_MS || 120 * 60 * 1000);
+const JOB_STORE_DRIVER = (process.env.TOOL_JOB_STORE || 'file').trim().toLowerCase();
+const JOB_STORE_PATH = process.env.TOOL_JOB_STORE_PATH || './data/tool-jobs.json';
+const AUDIT_STORE_DRIVER = (process.env.TOOL_AUDIT_STORE || 'file').trim().toLowerCase();
+const AUDIT_LOG_PATH = process.env.TOOL_AUDIT_LOG_PATH || './data/tool-audit.jsonl';
+const AUDIT_QUERY_DEFAULT_LIMIT = 100;
+const AUDIT_QUERY_MAX_LIMIT = 500;
+const AUDIT_GENESIS_HASH = '0'.repeat(64);
+const JOB_EVENT_BUFFER_SIZE = Number(process.env.TOOL_JOB_EVENT_BUFFER || 500);
+const SSE_HEARTBEAT_MS = Number(process.env.TOOL_SSE_HEARTBEAT_MS || 15000);
+const JOB_LIST_DEFAULT_LIMIT = 50;
+const JOB_LIST_MAX_LIMIT = 200;
+const JOB_STATUSES = Object.freeze(['scheduled', 'queued', 'running', 'cancelling', 'done', 'failed', 'cancelled']);
+const SCHEDULE_TICK_MS = Number(process.env.TOOL_SCHEDULE_TICK_MS || 1000);
+const BATCH_MAX_STEPS = 20;
+const BATCH_ERROR_MODES = Object.freeze(['stop', 'continue']);
+const SCHEDULE_MISFIRE_GRACE_MS = Number(process.env.TOOL_SCHEDULE_MISFIRE_GRACE_MS || 5 * 60 * 1000);
+const SCHEDULE_MAX_AHEAD_MS = Number(process.env.TOOL_SCHEDULE_MAX_AHEAD_MS || 30 * 24 * 60 * 60 * 1000);
+const POLICY_PATH = process.env.TOOL_POLICY_PATH || '';
+const POLICY_USAGE_PATH = process.env.TOOL_POLICY_USAGE_PATH || './data/tool-policy-usage.json';
+const CHAT_COMMANDS_PATH = process.env.TOOL_CHAT_COMMANDS_PATH || '';
+const CHAT_COMMAND_ROLES = Object.freeze(['everyone', 'subscriber', 'vip', 'moderator', 'broadcaster']);
+const CALLBACK_ALLOWED_HOSTS = (process.env.TOOL_CALLBACK_ALLOWED_HOSTS || '')
+  .split(',')
+  .map((host) => host.trim().toLowerCase())
+  .filter(Boolean);
+const CALLBACK_TIMEOUT_MS = Number(process.env.TOOL_CALLBACK_TIMEOUT_MS || 10000);
+const CALLBACK_RETRIES = Number(process.env.TOOL_CALLBACK_RETRIES || 4);
 const OBS_CONNECT_TIMEOUT_MS = Number(process.env.OBS_CONNECT_TIMEOUT_MS || 12000);
 const OBS_OPERATION_TIMEOUT_MS = Number(process.env.OBS_STREAM_OPERATION_TIMEOUT_MS || 20000);
 const OBS_STREAM_POLL_MS = Number(process.env.OBS_STREAM_POLL_MS || 700);
@@ -25,6 +68,28 @@ const OBS_OPERATION_RETRIES = Number(process.env.OBS_OPERATION_RETRIES || 2);
 const OBS_WS_URL = process.env.OBS_WS_URL || 'ws://127.0.0.1:4455';
 const OBS_WS_PASSWORD = process.env.OBS_WS_PASSWORD || '';
 const OBS_STREAM_SCENE = process.env.OBS_STREAM_SCENE || '';
+const OBS_AUTO_CONNECT = String(process.env.OBS_AUTO_CONNECT || 'true').toLowerCase() !== 'false';
+const OBS_RECONNECT_MIN_MS = Number(process.env.OBS_RECONNECT_MIN_MS || 1000);
+const OBS_RECONNECT_MAX_MS = Number(process.env.OBS_RECONNECT_MAX_MS || 30000);
+const OBS_EVENT_SUBSCRIPTIONS = obsLibrary?.EventSubscription
+  ? obsLibrary.EventSubscription.General | obsLibrary.EventSubscription.Scenes | obsLibrary.EventSubscription.Outputs
+  : undefined;
+const OBS_HEALTH_SAMPLE_MS = Number(process.env.OBS_HEALTH_SAMPLE_MS || 2000);
+const OBS_HEALTH_MIN_BITRATE_KBPS = Number(process.env.OBS_HEALTH_MIN_BITRATE_KBPS || 1000);
+const OBS_HEALTH_MAX_DROPPED_PCT = Number(process.env.OBS_HEALTH_MAX_DROPPED_PCT || 2);
+const OBS_HEALTH_MAX_CONGESTION = Number(process.env.OBS_HEALTH_MAX_CONGESTION || 0.3);
+const OBS_HEALTH_MAX_CPU_PCT = Number(process.env.OBS_HEALTH_MAX_CPU_PCT || 85);
+const OBS_HEALTH_MAX_RENDER_LAG_PCT = Number(process.env.OBS_HEALTH_MAX_RENDER_LAG_PCT || 2);
+const STREAM_HEALTH_WINDOWS = Object.freeze({ '1m': 60_000, '5m': 300_000 });
+const OBS_QUALITY_PRESETS_PATH = process.env.OBS_QUALITY_PRESETS_PATH || '';
+const OBS_SCENE_ALLOWLIST = (process.env.OBS_SCENE_ALLOWLIST || '')
+  .split(',')
+  .map((item) => item.trim())
+  .filter(Boolean);
+const OBS_SOURCE_ALLOWLIST = (process.env.OBS_SOURCE_ALLOWLIST || '')
+  .split(',')
+  .map((item) => item.trim())
+  .filter(Boolean);
 
 const TWITCH_CLIENT_ID = process.env.TWITCH_CLIENT_ID || '';
 const TWITCH_OAUTH_TOKEN = process.env.TWITCH_OAUTH_TOKEN || '';
@@ -32,6 +97,36 @@ const TWITCH_BROADCASTER_ID = process.env.TWITCH_BROADCASTER_ID || '';
 const TWITCH_BROADCASTER_LOGIN = process.env.TWITCH_BROADCASTER_LOGIN || '';
 const TWITCH_API_TIMEOUT_MS = Number(process.env.TWITCH_API_TIMEOUT_MS || 10000);
 const TWITCH_API_RETRIES = Number(process.env.TWITCH_API_RETRIES || 2);
+const TWITCH_API_MAX_RATE_LIMIT_WAIT_MS = Number(process.env.TWITCH_API_MAX_RATE_LIMIT_WAIT_MS || 60000);
+const TWITCH_API_BASE_URL = (process.env.TWITCH_API_BASE_URL || 'https://api.twitch.tv/helix').replace(/\/$/, '');
+const TWITCH_EVENTSUB_WS_URL = process.env.TWITCH_EVENTSUB_WS_URL || 'wss://eventsub.wss.twitch.tv/ws';
+const TWITCH_EVENTSUB_API_BASE_URL = (process.env.TWITCH_EVENTSUB_API_BASE_URL || TWITCH_API_BASE_URL).replace(/\/$/, '');
+const TWITCH_EVENTSUB_ENABLED = process.env.TWITCH_EVENTSUB_ENABLED === 'true';
+const TWITCH_LIVE_CONFIRM = process.env.TWITCH_LIVE_CONFIRM === 'true';
+const TWITCH_LIVE_CONFIRM_TIMEOUT_MS = Number(process.env.TWITCH_LIVE_CONFIRM_TIMEOUT_MS || 30000);
+const STREAM_RECOVERY_ENABLED = process.env.STREAM_RECOVERY_ENABLED === 'true';
+const STREAM_RECOVERY_MAX_ATTEMPTS = Number(process.env.STREAM_RECOVERY_MAX_ATTEMPTS || 3);
+const STREAM_RECOVERY_BACKOFF_MS = Number(process.env.STREAM_RECOVERY_BACKOFF_MS || 5000);
+const STREAM_RECOVERY_FALLBACK_SCENE = process.env.STREAM_RECOVERY_FALLBACK_SCENE || '';
+const STREAM_RECOVERY_CHAT_NOTICE = process.env.STREAM_RECOVERY_CHAT_NOTICE || '';
+const TWITCH_AUTH_BASE_URL = (process.env.TWITCH_AUTH_BASE_URL || 'https://id.twitch.tv/oauth2').replace(/\/$/, '');
+const TWITCH_CLIENT_SECRET = process.env.TWITCH_CLIENT_SECRET || '';
+const TWITCH_REFRESH_TOKEN = process.env.TWITCH_REFRESH_TOKEN || '';
+const TWITCH_TOKEN_STORE_PATH = process.env.TWITCH_TOKEN_STORE_PATH || './data/twitch-tokens.json';
+const TWITCH_TOKEN_REFRESH_MARGIN_MS = Number(process.env.TWITCH_TOKEN_REFRESH_MARGIN_MS || 5 * 60 * 1000);
+const TWITCH_CHAT_INGEST = process.env.TWITCH_CHAT_INGEST === 'true';
+const TWITCH_CHAT_BUFFER_SIZE = Number(process.env.TWITCH_CHAT_BUFFER_SIZE || 500);
+const CHAT_READ_DEFAULT_LIMIT = 50;
+const CHAT_READ_MAX_LIMIT = 200;
+const CHANNELS_PATH = process.env.TOOL_CHANNELS_PATH || '';
+
+const QUALITY_PRESET_NAMES = Object.freeze(['low', 'medium', 'high', 'source']);
+const DEFAULT_QUALITY_PRESETS = Object.freeze({
+  low: { width: 1280, height: 720, fps: 30, bitrate_kbps: 2500, encoder_preset: 'veryfast' },
+  medium: { width: 1280, height: 720, fps: 60, bitrate_kbps: 4500, encoder_preset: 'veryfast' },
+  high: { width: 1920, height: 1080, fps: 60, bitrate_kbps: 6000, encoder_preset: 'veryfast' },
+  source: {}
+});
 
 const TWITCH_TOOL_ACTIONS = Object.freeze([
   'twitch.start_stream',
@@ -39,33 +134,51 @@ const TWITCH_TOOL_ACTIONS = Object.freeze([
   'twitch.set_title',
   'twitch.set_game',
   'twitch.post_chat_message',
-  'twitch.create_clip'
+  'twitch.read_chat',
+  'twitch.create_clip',
+  'twitch.get_stream_health',
+  'obs.list_scenes',
+  'obs.set_scene',
+  'obs.set_source_visibility',
+  'obs.set_text',
+  'obs.set_browser_source_url',
+  'obs.start_record',
+  'obs.stop_record',
+  'obs.pause_record',
+  'obs.save_replay_buffer'
 ]);
 
 const ASYNC_TOOL_ACTIONS = new Set([
   'twitch.start_stream',
-  'twitch.stop_stream'
+  'twitch.stop_stream',
+  'obs.start_record',
+  'obs.stop_record',
+  'obs.pause_record',
+  'obs.save_replay_buffer'
 ]);
 
 const TWITCH_TOOL_SCHEMAS = {
   'twitch.start_stream': {
     required: ['channel'],
-    allow: ['channel', 'title', 'game', 'game_id', 'obs_scene', 'quality'],
+    allow: ['channel', 'title', 'game', 'game_id', 'obs_scene', 'quality', 'restart', 'wait_for_twitch'],
     fields: {
       channel: { type: 'string', minLength: 2, maxLength: 64 },
       title: { type: 'string', minLength: 1, maxLength: 160 },
       game: { type: 'string', minLength: 1, maxLength: 120 },
       game_id: { type: 'string', minLength: 1, maxLength: 80 },
       obs_scene: { type: 'string', minLength: 1, maxLength: 120 },
-      quality: { type: 'string', enum: ['low', 'medium', 'high', 'source'] }
+      quality: { type: 'string', enum: QUALITY_PRESET_NAMES },
+      restart: { type: 'boolean' },
+      wait_for_twitch: { type: 'boolean' }
     }
   },
   'twitch.stop_stream': {
     required: [],
-    allow: ['reason', 'channel'],
+    allow: ['reason', 'channel', 'wait_for_twitch'],
     fields: {
       reason: { type: 'string', minLength: 1, maxLength: 160 },
-      channel: { type: 'string', minLength: 2, maxLength: 64 }
+      channel: { type: 'string', minLength: 2, maxLength: 64 },
+      wait_for_twitch: { type: 'boolean' }
     }
   },
   'twitch.set_title': {
@@ -94,6 +207,15 @@ const TWITCH_TOOL_SCHEMAS = {
       reply_parent_message_id: { type: 'string', minLength: 8, maxLength: 60 }
     }
   },
+  'twitch.read_chat': {
+    required: [],
+    allow: ['channel', 'since', 'limit'],
+    fields: {
+      channel: { type: 'string', minLength: 2, maxLength: 64 },
+      since: { type: 'string', minLength: 1, maxLength: 64 },
+      limit: { type: 'integer', min: 1, max: CHAT_READ_MAX_LIMIT }
+    }
+  },
   'twitch.create_clip': {
     required: [],
     allow: ['title', 'channel'],
@@ -101,21 +223,137 @@ const TWITCH_TOOL_SCHEMAS = {
       title: { type: 'string', minLength: 1, maxLength: 100 },
       channel: { type: 'string', minLength: 2, maxLength: 64 }
     }
+  },
+  'twitch.get_stream_health': {
+    required: [],
+    allow: ['channel'],
+    fields: {
+      channel: { type: 'string', minLength: 2, maxLength: 64 }
+    }
+  },
+  'obs.list_scenes': {
+    required: [],
+    allow: ['channel'],
+    fields: {
+      channel: { type: 'string', minLength: 2, maxLength: 64 }
+    }
+  },
+  'obs.set_scene': {
+    required: ['scene'],
+    allow: ['scene', 'channel'],
+    fields: {
+      scene: { type: 'string', minLength: 1, maxLength: 120 },
+      channel: { type: 'string', minLength: 2, maxLength: 64 }
+    }
+  },
+  'obs.set_source_visibility': {
+    required: ['source', 'visible'],
+    allow: ['source', 'visible', 'scene', 'channel'],
+    fields: {
+      source: { type: 'string', minLength: 1, maxLength: 120 },
+      visible: { type: 'boolean' },
+      scene: { type: 'string', minLength: 1, maxLength: 120 },
+      channel: { type: 'string', minLength: 2, maxLength: 64 }
+    }
+  },
+  'obs.set_text': {
+    required: ['source', 'text'],
+    allow: ['source', 'text', 'channel'],
+    fields: {
+      source: { type: 'string', minLength: 1, maxLength: 120 },
+      text: { type: 'string', minLength: 1, maxLength: 500 },
+      channel: { type: 'string', minLength: 2, maxLength: 64 }
+    }
+  },
+  'obs.set_browser_source_url': {
+    required: ['source', 'url'],
+    allow: ['source', 'url', 'channel'],
+    fields: {
+      source: { type: 'string', minLength: 1, maxLength: 120 },
+      url: { type: 'string', minLength: 8, maxLength: 2048 },
+      channel: { type: 'string', minLength: 2, maxLength: 64 }
+    }
+  },
+  'obs.start_record': {
+    required: [],
+    allow: ['channel'],
+    fields: {
+      channel: { type: 'string', minLength: 2, maxLength: 64 }
+    }
+  },
+  'obs.stop_record': {
+    required: [],
+    allow: ['channel'],
+    fields: {
+      channel: { type: 'string', minLength: 2, maxLength: 64 }
+    }
+  },
+  'obs.pause_record': {
+    required: [],
+    allow: ['resume', 'channel'],
+    fields: {
+      resume: { type: 'boolean' },
+      channel: { type: 'string', minLength: 2, maxLength: 64 }
+    }
+  },
+  'obs.save_replay_buffer': {
+    required: [],
+    allow: ['channel'],
+    fields: {
+      channel: { type: 'string', minLength: 2, maxLength: 64 }
+    }
   }
 };
 
+const ACTION_REQUIRED_SCOPES = {
+  'twitch.start_stream': [],
+  'twitch.stop_stream': [],
+  'twitch.set_title': ['channel:manage:broadcast'],
+  'twitch.set_game': ['channel:manage:broadcast'],
+  'twitch.post_chat_message': ['user:write:chat'],
+  'twitch.read_chat': ['user:read:chat'],
+  'twitch.create_clip': ['clips:edit'],
+  'twitch.get_stream_health': [],
+  'obs.list_scenes': [],
+  'obs.set_scene': [],
+  'obs.set_source_visibility': [],
+  'obs.set_text': [],
+  'obs.set_browser_source_url': [],
+  'obs.start_record': [],
+  'obs.stop_record': [],
+  'obs.pause_record': [],
+  'obs.save_replay_buffer': []
+};
+
 const ACTION_TO_HANDLER = {
   'twitch.start_stream': 'startStream',
   'twitch.stop_stream': 'stopStream',
   'twitch.set_title': 'setTitle',
   'twitch.set_game': 'setGame',
   'twitch.post_chat_message': 'postChatMessage',
-  'twitch.create_clip': 'createClip'
+  'twitch.read_chat': 'readChat',
+  'twitch.create_clip': 'createClip',
+  'twitch.get_stream_health': 'getStreamHealth',
+  'obs.list_scenes': 'listObsScenes',
+  'obs.set_scene': 'setObsScene',
+  'obs.set_source_visibility': 'setSourceVisibility',
+  'obs.set_text': 'setSourceText',
+  'obs.set_browser_source_url': 'setBrowserSourceUrl',
+  'obs.start_record': 'startRecord',
+  'obs.stop_record': 'stopRecord',
+  'obs.pause_record': 'pauseRecord',
+  'obs.save_replay_buffer': 'saveReplayBuffer'
 };
 
-const jobs = new Map();
-const idempotency = new Map();
-const rateLimitByAction = new Map();
+const RATE_LIMIT_CLASS_NAMES = Object.freeze(['stream', 'write', 'read']);
+const STREAM_RATE_LIMITED_ACTIONS = new Set(['twitch.start_stream', 'twitch.stop_stream']);
+const READ_RATE_LIMITED_ACTIONS = new Set(['twitch.read_chat', 'twitch.get_stream_health', 'obs.list_scenes']);
+const DEFAULT_RATE_LIMITS = Object.freeze({
+  stream: { burst: 2, per_minute: STREAM_RATE_LIMIT_PER_MIN },
+  write: { burst: 10, per_minute: ACTION_RATE_LIMIT_PER_MIN },
+  read: { burst: 20, per_minute: READ_RATE_LIMIT_PER_MIN }
+});
+const SHARED_RATE_LIMIT_FACTOR = 10;
 
 function nowIso() {
   return new Date().toISOString();
@@ -129,32 +367,141 @@ function isFiniteNumber(value, fallback) {
   return Number.isFinite(value) ? value : fallback;
 }
 
-async function withTimeout(label, fn, timeoutMs = TOOL_SERVICE_TIMEOUT_MS) {
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_REDACTED = '[redacted]';
+const LOG_SECRET_KEY_PATTERN = /authorization|password|secret|token|signature|api[-_]?key/i;
+const LOG_SECRET_TEXT_PATTERNS = [
+  [/\b(Bearer|OAuth)\s+[^\s"',]+/gi, `$1 ${LOG_REDACTED}`],
+  [/\boauth:[^\s"',]+/gi, `oauth:${LOG_REDACTED}`],
+  [/\bsha256=[0-9a-f]{16,}/gi, `sha256=${LOG_REDACTED}`]
+];
+const CORRELATION_ID_PATTERN = /^[\w.:-]{1,128}$/;
+const logSecrets = new Set();
+const logContext = new AsyncLocalStorage();
+
+function registerLogSecret(value) {
+  if (typeof value === 'string' && value.length >= 6) {
+    logSecrets.add(value);
+  }
+}
+
+function redactLogText(text) {
+  let redacted = text;
+  for (const secret of logSecrets) {
+    redacted = redacted.split(secret).join(LOG_REDACTED);
+  }
+  for (const [pattern, replacement] of LOG_SECRET_TEXT_PATTERNS) {
+    redacted = redacted.replace(pattern, replacement);
+  }
+  return redacted;
+}
+
+function redactLogValue(value, key = '', depth = 0) {
+  if (key && LOG_SECRET_KEY_PATTERN.test(key) && value) return LOG_REDACTED;
+  if (typeof value === 'string') return redactLogText(value);
+  if (value instanceof Error) return redactLogText(String(value.message || value));
+  if (!value || typeof value !== 'object') return value;
+  if (depth >= 6) return '[truncated]';
+  if (Array.isArray(value)) return value.map((item) => redactLogValue(item, '', depth + 1));
+  return Object.fromEntries(
+    Object.entries(value).map(([entryKey, entry]) => [entryKey, redactLogValue(entry, entryKey, depth + 1)])
+  );
+}
+
+const logger = {
+  enabled(level) {
+    return LOG_LEVELS[level] >= (LOG_LEVELS[LOG_LEVEL] || LOG_LEVELS.info);
+  },
+
+  log(level, msg, fields = {}) {
+    if (!this.enabled(level)) return;
+    const entry = redactLogValue({
+      time: nowIso(),
+      level,
+      msg,
+      ...logContext.getStore(),
+      ...fields
+    });
+    const stream = LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${JSON.stringify(entry)}\n`);
+  },
+
+  debug(msg, fields) {
+    this.log('debug', msg, fields);
+  },
+
+  info(msg, fields) {
+    this.log('info', msg, fields);
+  },
+
+  warn(msg, fields) {
+    this.log('warn', msg, fields);
+  },
+
+  error(msg, fields) {
+    this.log('error', msg, fields);
+  }
+};
+
+registerLogSecret(TOOL_SERVICE_TOKEN);
+registerLogSecret(TOOL_SIGNING_SECRET);
+
+function createCancelError(reason = 'job cancelled') {
+  const error = new Error(reason);
+  error.name = 'AbortError';
+  error.cancelled = true;
+  return error;
+}
+
+function throwIfCancelled(signal) {
+  if (signal?.aborted) {
+    throw signal.reason instanceof Error ? signal.reason : createCancelError();
+  }
+}
+
+async function withTimeout(label, fn, timeoutMs = TOOL_SERVICE_TIMEOUT_MS, { signal } = {}) {
+  throwIfCancelled(signal);
   let timer;
+  let onAbort;
   const timeoutPromise = new Promise((_, reject) => {
     timer = setTimeout(() => {
       reject(new Error(`${label} timed out`));
     }, timeoutMs);
+    if (signal) {
+      onAbort = () => {
+        reject(signal.reason instanceof Error ? signal.reason : createCancelError());
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
   });
-  const result = await Promise.race([fn(), timeoutPromise]);
-  clearTimeout(timer);
-  return result;
+  try {
+    return await Promise.race([fn(), timeoutPromise]);
+  } finally {
+    clearTimeout(timer);
+    if (onAbort) signal.removeEventListener('abort', onAbort);
+  }
 }
 
-async function withRetry(fn, { retries = 0, delayMs = 250, label = 'operation' } = {}) {
+async function withRetry(fn, { retries = 0, delayMs = 250, label = 'operation', signal } = {}) {
   let lastError;
   for (let attempt = 0; attempt <= retries; attempt += 1) {
+    throwIfCancelled(signal);
     try {
       return await fn(attempt + 1);
     } catch (error) {
       lastError = error;
-      if (attempt >= retries) {
+      if (attempt >= retries || signal?.aborted) {
         break;
       }
       const waitMs = delayMs * Math.pow(2, attempt);
-      await wait(waitMs);
+      try {
+        await wait(waitMs, undefined, { signal });
+      } catch {
+        throwIfCancelled(signal);
+      }
     }
   }
+  throwIfCancelled(signal);
   throw lastError;
 }
 
@@ -171,40 +518,375 @@ function requireToken(req, res, next) {
   if (token !== `Bearer ${TOOL_SERVICE_TOKEN}`) {
     return res.status(401).json({ ok: false, error: 'missing or invalid bearer token' });
   }
+  req.tokenVerified = true;
   return next();
 }
 
+function signPayload(payload) {
+  return crypto.createHmac('sha256', TOOL_SIGNING_SECRET)
+    .update(payload)
+    .digest('hex');
+}
+
 function requireSignature(req, res, next) {
   if (!TOOL_SIGNING_SECRET) return next();
   const header = req.get('x-tool-signature') || '';
-  const expected = crypto.createHmac('sha256', TOOL_SIGNING_SECRET)
-    .update(req.rawBody || Buffer.from('{}'))
-    .digest('hex');
+  const expected = signPayload(req.rawBody || Buffer.from('{}'));
   const provided = String(header).replace(/^sha256=/, '');
   if (!safeCompareHex(provided, expected)) {
     return res.status(401).json({ ok: false, error: 'invalid request signature' });
   }
+  req.signatureVerified = true;
   return next();
 }
 
-function canRunAction(action) {
-  const now = Date.now();
-  const limit = isFiniteNumber(ACTION_RATE_LIMIT_PER_MIN, 60);
-  const bucket = rateLimitByAction.get(action) || { start: now, count: 0 };
+function escapeMetricLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatMetricLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeMetricLabel(value)}"`).join(',')}}`;
+}
+
+// Minimal Prometheus text-format metrics. Label values must come from bounded
+// sets (action names, endpoints, channels), never from request data.
+class MetricFamily {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  seriesFor(labels = {}, create) {
+    const picked = {};
+    for (const key of this.labelNames) {
+      picked[key] = labels[key] === undefined || labels[key] === null ? '' : String(labels[key]);
+    }
+    const key = JSON.stringify(picked);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: picked, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+class Counter extends MetricFamily {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels, value = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += value;
+  }
+
+  render() {
+    const lines = this.header();
+    for (const series of this.series.values()) {
+      lines.push(`${this.name}${formatMetricLabels(series.labels)} ${series.value}`);
+    }
+    return lines;
+  }
+}
+
+class Histogram extends MetricFamily {
+  constructor(name, help, labelNames, buckets) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const series = this.seriesFor(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index] += 1;
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  startTimer(labels = {}) {
+    const started = process.hrtime.bigint();
+    return (extra = {}) => {
+      this.observe({ ...labels, ...extra }, Number(process.hrtime.bigint() - started) / 1e9);
+    };
+  }
+
+  render() {
+    const lines = this.header();
+    for (const series of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatMetricLabels({ ...series.labels, le: bound })} ${series.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatMetricLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatMetricLabels(series.labels)} ${series.sum}`);
+      lines.push(`${this.name}_count${formatMetricLabels(series.labels)} ${series.count}`);
+    }
+    return lines;
+  }
+}
+
+class Gauge extends MetricFamily {
+  constructor(name, help, labelNames, collect) {
+    super('gauge', name, help, labelNames);
+    this.collect = collect;
+  }
+
+  render() {
+    const lines = this.header();
+    for (const { labels = {}, value } of this.collect()) {
+      lines.push(`${this.name}${formatMetricLabels(labels)} ${Number(value) || 0}`);
+    }
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.families = [];
+  }
+
+  register(family) {
+    this.families.push(family);
+    return family;
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  gauge(name, help, labelNames, collect) {
+    return this.register(new Gauge(name, help, labelNames, collect));
+  }
+
+  render() {
+    return `${this.families.flatMap((family) => family.render()).join('\n')}\n`;
+  }
+}
+
+const LATENCY_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const JOB_DURATION_BUCKETS = [0.5, 1, 5, 10, 30, 60, 120, 300, 900];
+const metricsRegistry = new MetricsRegistry();
+const metrics = {
+  executeRequests: metricsRegistry.counter(
+    'clawcraft_tool_execute_requests_total',
+    'POST /tools/execute requests by action and HTTP status.',
+    ['action', 'status']
+  ),
+  executeDuration: metricsRegistry.histogram(
+    'clawcraft_tool_execute_duration_seconds',
+    'POST /tools/execute response time by action and HTTP status.',
+    ['action', 'status'],
+    LATENCY_BUCKETS
+  ),
+  jobOutcomes: metricsRegistry.counter(
+    'clawcraft_jobs_finished_total',
+    'Jobs reaching a terminal status, by action and status.',
+    ['action', 'status']
+  ),
+  jobDuration: metricsRegistry.histogram(
+    'clawcraft_job_duration_seconds',
+    'Time from job creation to its terminal status.',
+    ['action', 'status'],
+    JOB_DURATION_BUCKETS
+  ),
+  rateLimited: metricsRegistry.counter(
+    'clawcraft_rate_limited_total',
+    'Actions rejected by the per-action rate limit.',
+    ['action']
+  ),
+  helixRequests: metricsRegistry.histogram(
+    'clawcraft_twitch_helix_request_duration_seconds',
+    'Twitch Helix call latency by endpoint and HTTP status (error when no response).',
+    ['endpoint', 'status'],
+    LATENCY_BUCKETS
+  ),
+  obsRequests: metricsRegistry.histogram(
+    'clawcraft_obs_request_duration_seconds',
+    'OBS websocket request latency by request type and outcome.',
+    ['request', 'outcome'],
+    LATENCY_BUCKETS
+  ),
+  obsReconnects: metricsRegistry.counter(
+    'clawcraft_obs_reconnects_total',
+    'Successful OBS websocket reconnects after a dropped connection.',
+    ['channel']
+  )
+};
+
+function metricActionLabel(action) {
+  return TWITCH_TOOL_ACTIONS.includes(action) ? action : 'invalid';
+}
+
+function validateCallbackUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value).trim());
+  } catch {
+    return { ok: false, error: 'callback_url must be an absolute URL' };
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    return { ok: false, error: 'callback_url must use http or https' };
+  }
+  if (url.username || url.password) {
+    return { ok: false, error: 'callback_url must not embed credentials' };
+  }
+  const hostname = url.hostname.toLowerCase();
+  const host = url.host.toLowerCase();
+  if (!CALLBACK_ALLOWED_HOSTS.includes(hostname) && !CALLBACK_ALLOWED_HOSTS.includes(host)) {
+    return { ok: false, error: `callback_url host "${host}" is not in TOOL_CALLBACK_ALLOWED_HOSTS` };
+  }
+  return { ok: true, url: url.toString() };
+}
+
+const CRON_FIELDS = Object.freeze([
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+]);
+const CRON_ALIASES = Object.freeze({
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+});
+
+function parseCronField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`cron ${name} "${part}" is invalid`);
+    }
+    const step = match[4] === undefined ? 1 : Number(match[4]);
+    let start = min;
+    let end = max;
+    if (match[1] !== '*') {
+      start = Number(match[2]);
+      end = match[3] === undefined ? (match[4] === undefined ? start : max) : Number(match[3]);
+    }
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`cron ${name} "${part}" must be within ${min}-${max}`);
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+// Standard 5-field cron (minute hour day-of-month month day-of-week), in UTC.
+// As in Vixie cron, a restricted day-of-month and day-of-week match either; a
+// day field starting with `*` (`*/2` too) is AND-ed with the other.
+function parseCronExpression(expression) {
+  const text = CRON_ALIASES[String(expression).trim().toLowerCase()] || String(expression).trim();
+  const parts = text.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('cron must have 5 fields: minute hour day-of-month month day-of-week');
+  }
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, index) => parseCronField(part, CRON_FIELDS[index]));
+  if (dayOfWeek.delete(7)) dayOfWeek.add(0);
+  return {
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    anyDayOfMonth: parts[2].startsWith('*'),
+    anyDayOfWeek: parts[4].startsWith('*')
+  };
+}
+
+function cronDayMatches(cron, date) {
+  const byMonth = cron.dayOfMonth.has(date.getUTCDate());
+  const byWeek = cron.dayOfWeek.has(date.getUTCDay());
+  if (cron.anyDayOfMonth || cron.anyDayOfWeek) {
+    return byMonth && byWeek;
+  }
+  return byMonth || byWeek;
+}
+
+function nextCronTime(expression, afterMs) {
+  const cron = parseCronExpression(expression);
+  const date = new Date(Math.floor(afterMs / 60_000) * 60_000 + 60_000);
+  const limit = afterMs + 5 * 366 * 24 * 60 * 60 * 1000;
+  while (date.getTime() <= limit) {
+    if (!cron.month.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!cronDayMatches(cron, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!cron.hour.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+    } else if (!cron.minute.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return date.getTime();
+    }
+  }
+  return null;
+}
 
-  if (now - bucket.start >= 60_000) {
-    bucket.start = now;
-    bucket.count = 0;
+function validateSchedule(runAt, cron) {
+  const hasRunAt = runAt !== undefined && runAt !== null && runAt !== '';
+  const hasCron = cron !== undefined && cron !== null && cron !== '';
+  if (!hasRunAt && !hasCron) {
+    return { ok: true, schedule: null };
   }
 
-  if (bucket.count >= limit) {
-    rateLimitByAction.set(action, bucket);
-    return false;
+  const now = Date.now();
+  let runAtMs = null;
+  if (hasRunAt) {
+    runAtMs = typeof runAt === 'string' ? Date.parse(runAt) : NaN;
+    if (!Number.isFinite(runAtMs)) {
+      return { ok: false, error: 'run_at must be an ISO-8601 timestamp' };
+    }
+    if (runAtMs < now) {
+      return { ok: false, error: 'run_at must not be in the past' };
+    }
+  }
+  if (hasCron) {
+    if (typeof cron !== 'string' || cron.length > 120) {
+      return { ok: false, error: 'cron must be a string up to 120 chars' };
+    }
+    try {
+      if (nextCronTime(cron, now) === null) {
+        return { ok: false, error: 'cron never matches a date' };
+      }
+    } catch (error) {
+      return { ok: false, error: error.message };
+    }
   }
 
-  bucket.count += 1;
-  rateLimitByAction.set(action, bucket);
-  return true;
+  const firstRunAt = runAtMs ?? nextCronTime(cron, now);
+  if (firstRunAt - now > isFiniteNumber(SCHEDULE_MAX_AHEAD_MS, 30 * 24 * 60 * 60 * 1000)) {
+    return { ok: false, error: `first run must be within ${Math.round(SCHEDULE_MAX_AHEAD_MS / 86_400_000)} days` };
+  }
+  return {
+    ok: true,
+    schedule: {
+      run_at: hasRunAt ? new Date(runAtMs).toISOString() : null,
+      cron: hasCron ? cron.trim() : null,
+      first_run_at: new Date(firstRunAt).toISOString()
+    }
+  };
 }
 
 function validateActionPayload(payload = {}) {
@@ -266,6 +948,20 @@ function validateActionPayload(payload = {}) {
       }
       args[field] = value;
     }
+    if (constraints.type === 'boolean' && typeof args[field] !== 'boolean') {
+      return { ok: false, error: `Field "${field}" must be boolean` };
+    }
+    if (constraints.type === 'integer') {
+      if (!Number.isInteger(args[field])) {
+        return { ok: false, error: `Field "${field}" must be integer` };
+      }
+      if (constraints.min !== undefined && args[field] < constraints.min) {
+        return { ok: false, error: `Field "${field}" must be at least ${constraints.min}` };
+      }
+      if (constraints.max !== undefined && args[field] > constraints.max) {
+        return { ok: false, error: `Field "${field}" must be at most ${constraints.max}` };
+      }
+    }
 
     if (constraints.enum && !constraints.enum.includes(args[field])) {
       return { ok: false, error: `Field "${field}" has invalid value` };
@@ -275,6 +971,34 @@ function validateActionPayload(payload = {}) {
   if (action === 'twitch.set_game' && !args.game && !args.game_id) {
     return { ok: false, error: 'twitch.set_game requires game or game_id' };
   }
+  if (action === 'obs.set_browser_source_url') {
+    let parsed = null;
+    try {
+      parsed = new URL(args.url);
+    } catch {
+      parsed = null;
+    }
+    if (!parsed || (parsed.protocol !== 'http:' && parsed.protocol !== 'https:')) {
+      return { ok: false, error: 'Field "url" must be an absolute http(s) URL' };
+    }
+  }
+
+  let callbackUrl = null;
+  if (payload.callback_url !== undefined && payload.callback_url !== null && payload.callback_url !== '') {
+    if (!ASYNC_TOOL_ACTIONS.has(action)) {
+      return { ok: false, error: `callback_url is only supported for async actions, not "${action}"` };
+    }
+    const callback = validateCallbackUrl(payload.callback_url);
+    if (!callback.ok) {
+      return { ok: false, error: callback.error };
+    }
+    callbackUrl = callback.url;
+  }
+
+  const schedule = validateSchedule(payload.run_at, payload.cron);
+  if (!schedule.ok) {
+    return { ok: false, error: schedule.error };
+  }
 
   const normalized = {
     request_id: requestId || null,
@@ -282,762 +1006,4952 @@ function validateActionPayload(payload = {}) {
     action,
     args,
     mission_id: missionId || null,
-    correlation_id: correlationId || null
+    correlation_id: correlationId || null,
+    callback_url: callbackUrl,
+    schedule: schedule.schedule
   };
 
   return { ok: true, normalized };
 }
 
-function jobSummary(job) {
-  return {
-    id: job.id,
-    action: job.action,
-    status: job.status,
-    progress: job.progress,
-    request_id: job.request_id,
-    created_at: job.created_at,
-    updated_at: job.updated_at
-  };
-}
+function validateBatchStep(raw, index, defaults) {
+  const step = normalizeBody(raw);
+  for (const key of Object.keys(step)) {
+    if (!['id', 'action', 'args', 'compensate'].includes(key)) {
+      return { ok: false, error: `Unexpected field "${key}" in step ${index + 1}` };
+    }
+  }
+  const id = step.id === undefined ? `step_${index + 1}` : step.id;
+  if (typeof id !== 'string' || !/^[\w.-]{1,40}$/.test(id)) {
+    return { ok: false, error: `step ${index + 1} id must be 1-40 chars of letters, digits, ".", "_" or "-"` };
+  }
 
-class JobStore {
-  static buildProgress(percent, message) {
-    return {
-      percent,
-      message,
-      updatedAt: nowIso()
-    };
+  const validated = validateActionPayload({
+    ...defaults,
+    request_id: `${defaults.request_id}.${id}`,
+    action: step.action,
+    args: step.args
+  });
+  if (!validated.ok) {
+    return { ok: false, error: `step "${id}": ${validated.error}` };
   }
 
-  static normalizeId(value, fallbackPrefix = 'job') {
-    if (typeof value === 'string' && /^[\w.-]{4,120}$/.test(value.trim())) {
-      return value.trim();
+  let compensate = null;
+  if (step.compensate !== undefined && step.compensate !== null) {
+    const raw = normalizeBody(step.compensate);
+    for (const key of Object.keys(raw)) {
+      if (!['action', 'args'].includes(key)) {
+        return { ok: false, error: `Unexpected field "${key}" in step "${id}" compensate` };
+      }
     }
-    return `${fallbackPrefix}_${crypto.randomBytes(8).toString('hex')}`;
+    const compensation = validateActionPayload({
+      ...defaults,
+      request_id: `${defaults.request_id}.${id}.undo`,
+      action: raw.action,
+      args: raw.args
+    });
+    if (!compensation.ok) {
+      return { ok: false, error: `step "${id}" compensate: ${compensation.error}` };
+    }
+    compensate = compensation.normalized;
   }
+  return { ok: true, id, normalized: validated.normalized, compensate };
+}
 
-  static createJob({
-    action,
-    requestId,
-    agentId,
-    missionId,
-    correlationId,
-    args
-  }) {
-    const id = this.normalizeId(null, 'tool');
-    return {
-      id,
-      action,
-      request_id: requestId,
-      agent_id: agentId,
-      mission_id: missionId,
-      correlation_id: correlationId,
-      args,
-      status: 'queued',
-      progress: this.buildProgress(5, 'queued'),
-      result: {},
-      created_at: nowIso(),
-      updated_at: nowIso()
-    };
+function validateBatchPayload(payload = {}) {
+  if (typeof payload !== 'object' || payload === null) {
+    return { ok: false, error: 'request body must be JSON object' };
   }
-
-  static completeJob(job, result = {}, finalStatus = 'done', reason) {
-    job.status = finalStatus;
-    job.progress = this.buildProgress(100, finalStatus);
-    job.result = {
-      ...job.result,
-      ...result
-    };
-    if (reason) {
-      job.result.reason = reason;
-    }
-    job.updated_at = nowIso();
-    return job;
+  const agentId = String(payload.agent_id || '').trim();
+  const missionId = String(payload.mission_id || '').trim();
+  const correlationId = String(payload.correlation_id || '').trim();
+  if (!agentId || !/^[A-Za-z0-9._-]{2,120}$/.test(agentId)) {
+    return { ok: false, error: 'agent_id must be 2-120 chars' };
   }
-
-  static failJob(job, error) {
-    job.status = 'failed';
-    job.result = {
-      ...(job.result || {}),
-      error: String(error?.message || error || 'tool execution failed')
-    };
-    job.progress = this.buildProgress(100, 'failed');
-    job.updated_at = nowIso();
-    return job;
+  if (!payload.request_id && !(missionId || correlationId)) {
+    return { ok: false, error: 'request_id required for a batch when mission_id/correlation_id is missing' };
   }
-}
-
-class TwitchApiClient {
-  constructor() {
-    this.clientId = TWITCH_CLIENT_ID;
-    this.oauthToken = TWITCH_OAUTH_TOKEN;
-    this.defaultBroadcasterId = TWITCH_BROADCASTER_ID;
-    this.defaultBroadcasterLogin = TWITCH_BROADCASTER_LOGIN;
-    this.apiBase = 'https://api.twitch.tv/helix';
-    this.validateCache = null;
-    this.userCache = new Map();
-    this.gameCache = new Map();
-    this.channelCache = new Map();
+  const onError = payload.on_error === undefined ? 'stop' : payload.on_error;
+  if (!BATCH_ERROR_MODES.includes(onError)) {
+    return { ok: false, error: `on_error must be one of ${BATCH_ERROR_MODES.join(', ')}` };
   }
-
-  isConfigured() {
-    return Boolean(this.clientId && this.oauthToken);
+  if (!Array.isArray(payload.steps) || payload.steps.length === 0 || payload.steps.length > BATCH_MAX_STEPS) {
+    return { ok: false, error: `steps must be an array of 1-${BATCH_MAX_STEPS} actions` };
   }
 
-  buildAuthHeaders() {
-    return {
-      'client-id': this.clientId,
-      authorization: `Bearer ${this.oauthToken}`
-    };
+  let callbackUrl = null;
+  if (payload.callback_url !== undefined && payload.callback_url !== null && payload.callback_url !== '') {
+    const callback = validateCallbackUrl(payload.callback_url);
+    if (!callback.ok) {
+      return { ok: false, error: callback.error };
+    }
+    callbackUrl = callback.url;
   }
 
-  async request(method, path, {
-    query = {},
-    body = null,
-    baseUrl = this.apiBase
-  } = {}) {
-    if (!this.isConfigured()) {
-      throw new Error('missing twitch credentials');
+  const seed = String(payload.request_id || missionId || correlationId).trim();
+  const requestId = payload.request_id
+    ? JobStore.normalizeId(String(payload.request_id), 'req')
+    : `req_${crypto.createHash('sha1').update(`batch|${seed}|${agentId}`).digest('hex').slice(0, 18)}`;
+  const defaults = {
+    request_id: requestId,
+    agent_id: agentId,
+    mission_id: missionId || undefined,
+    correlation_id: correlationId || undefined
+  };
+  const steps = [];
+  const seen = new Set();
+  for (const [index, raw] of payload.steps.entries()) {
+    const step = validateBatchStep(raw, index, defaults);
+    if (!step.ok) {
+      return { ok: false, error: step.error };
+    }
+    if (seen.has(step.id)) {
+      return { ok: false, error: `step id "${step.id}" is duplicated` };
     }
+    seen.add(step.id);
+    steps.push(step);
+  }
 
-    const endpoint = new URL(`${baseUrl.replace(/\/$/, '')}/${String(path || '').replace(/^\//, '')}`);
-    for (const [key, value] of Object.entries(query)) {
-      if (value === undefined || value === null || String(value).trim().length === 0) continue;
-      endpoint.searchParams.set(key, String(value));
+  return {
+    ok: true,
+    normalized: {
+      request_id: requestId,
+      agent_id: agentId,
+      mission_id: missionId || null,
+      correlation_id: correlationId || null,
+      callback_url: callbackUrl,
+      on_error: onError,
+      steps
     }
+  };
+}
 
-    const headers = {
-      'content-type': body ? 'application/json' : 'application/json',
-      ...this.buildAuthHeaders()
-    };
+function jobSummary(job) {
+  return {
+    id: job.id,
+    action: job.action,
+    status: job.status,
+    progress: job.progress,
+    request_id: job.request_id,
+    created_at: job.created_at,
+    updated_at: job.updated_at
+  };
+}
 
-    const controller = new AbortController();
-    const timeout = setTimeout(() => {
-      controller.abort('twitch-api-timeout');
-    }, TWITCH_API_TIMEOUT_MS);
+const POLICY_WEEKDAYS = Object.freeze(['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']);
 
-    try {
-      const response = await fetch(endpoint, {
-        method,
-        headers,
-        body: body ? JSON.stringify(body) : undefined,
-        signal: controller.signal
-      });
-      const responseText = await response.text();
-      let payload = null;
-      try {
-        payload = responseText ? JSON.parse(responseText) : null;
-      } catch {
-        payload = responseText ? { message: responseText } : null;
-      }
+function globToRegExp(pattern) {
+  const escaped = String(pattern).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
 
-      if (!response.ok) {
-        const reason = payload?.message || payload?.error || response.statusText || 'twitch api error';
-        const error = new Error(`${reason}`);
-        error.status = response.status;
-        error.payload = payload;
-        throw error;
-      }
+function matchesAny(patterns, value) {
+  if (!patterns) return true;
+  if (value === undefined || value === null || value === '') return false;
+  return patterns.some((pattern) => pattern.test(String(value)));
+}
 
-      return payload || {};
-    } finally {
-      clearTimeout(timeout);
-    }
+function parseClock(value, label) {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(String(value || ''));
+  if (!match) {
+    throw new Error(`${label} must be HH:MM`);
   }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
 
-  async validateIdentity() {
-    if (!this.isConfigured()) {
-      return null;
+function localClock(date, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).map((part) => [part.type, part.value]));
+  const day = String(parts.weekday).slice(0, 3).toLowerCase();
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    day,
+    previousDay: POLICY_WEEKDAYS[(POLICY_WEEKDAYS.indexOf(day) + 6) % 7],
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+function windowIsOpen(window, clock) {
+  if (window.start <= window.end) {
+    return window.days.includes(clock.day) && clock.minutes >= window.start && clock.minutes < window.end;
+  }
+  return (window.days.includes(clock.day) && clock.minutes >= window.start)
+    || (window.days.includes(clock.previousDay) && clock.minutes < window.end);
+}
+
+class ActionPolicy {
+  constructor(document = null, source = null, { defaultChannel = TWITCH_BROADCASTER_LOGIN, usagePath = null } = {}) {
+    this.source = source;
+    this.defaultChannel = defaultChannel;
+    this.enabled = Boolean(document);
+    this.defaultEffect = 'allow';
+    this.rules = [];
+    this.usagePath = usagePath ? path.resolve(usagePath) : null;
+    this.usage = new Map();
+    if (document) {
+      this.compile(document);
+      this.loadUsage();
     }
+  }
 
-    const now = Date.now();
-    if (this.validateCache && this.validateCache.expires_at > now) {
-      return this.validateCache;
+  static fromFile(filePath = POLICY_PATH, options = {}) {
+    if (!filePath) {
+      return new ActionPolicy(null, null, options);
+    }
+    const resolved = path.resolve(filePath);
+    let document;
+    try {
+      document = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    } catch (error) {
+      throw new Error(`unable to load policy ${resolved}: ${error.message}`);
     }
+    return new ActionPolicy(document, resolved, options);
+  }
 
-    const response = await withRetry(async () => {
-      const controller = new AbortController();
-      const timer = setTimeout(() => {
-        controller.abort('twitch-validate-timeout');
-      }, TWITCH_API_TIMEOUT_MS);
+  compile(document) {
+    const body = normalizeBody(document);
+    const defaultEffect = body.default || 'deny';
+    if (defaultEffect !== 'allow' && defaultEffect !== 'deny') {
+      throw new Error('policy "default" must be allow or deny');
+    }
+    if (!Array.isArray(body.rules)) {
+      throw new Error('policy "rules" must be an array');
+    }
+    this.defaultEffect = defaultEffect;
+    const seen = new Set();
+    this.rules = body.rules.map((raw, index) => {
+      const rule = normalizeBody(raw);
+      const id = String(rule.id || `rule_${index + 1}`);
+      if (seen.has(id)) {
+        throw new Error(`policy rule id "${id}" is duplicated`);
+      }
+      seen.add(id);
+      const patterns = (key) => {
+        if (rule[key] === undefined) return null;
+        if (!Array.isArray(rule[key]) || rule[key].some((item) => typeof item !== 'string')) {
+          throw new Error(`policy rule "${id}" ${key} must be an array of strings`);
+        }
+        return rule[key].map(globToRegExp);
+      };
+      const timeZone = rule.time_zone || 'UTC';
       try {
-        const authResponse = await fetch('https://id.twitch.tv/oauth2/validate', {
-          method: 'GET',
-          headers: {
-            authorization: `Bearer ${this.oauthToken}`
-          },
-          signal: controller.signal
-        });
-        const text = await authResponse.text();
-        let parsed = {};
-        try {
-          parsed = text ? JSON.parse(text) : {};
-        } catch {
-          parsed = {};
+        localClock(new Date(), timeZone);
+      } catch {
+        throw new Error(`policy rule "${id}" time_zone "${timeZone}" is invalid`);
+      }
+      const windows = (Array.isArray(rule.windows) ? rule.windows : []).map((window, windowIndex) => {
+        const label = `policy rule "${id}" windows[${windowIndex}]`;
+        const days = window.days || POLICY_WEEKDAYS;
+        if (!Array.isArray(days) || days.some((day) => !POLICY_WEEKDAYS.includes(String(day).toLowerCase()))) {
+          throw new Error(`${label}.days must use ${POLICY_WEEKDAYS.join(', ')}`);
         }
-        if (!authResponse.ok) {
-          const reason = parsed?.message || authResponse.statusText || 'invalid twitch token';
-          const error = new Error(reason);
-          error.status = authResponse.status;
-          error.payload = parsed;
-          throw error;
+        return {
+          days: days.map((day) => String(day).toLowerCase()),
+          start: parseClock(window.start, `${label}.start`),
+          end: parseClock(window.end, `${label}.end`)
+        };
+      });
+      const quota = normalizeBody(rule.daily_quota);
+      for (const [action, limit] of Object.entries(quota)) {
+        if (!Number.isInteger(limit) || limit < 0) {
+          throw new Error(`policy rule "${id}" daily_quota.${action} must be a non-negative integer`);
         }
-        return parsed;
-      } finally {
-        clearTimeout(timer);
       }
-    }, { retries: TWITCH_API_RETRIES, delayMs: 500, label: 'twitch token validate' });
+      return {
+        id,
+        agents: patterns('agents'),
+        missions: patterns('missions'),
+        actions: patterns('actions'),
+        channels: patterns('channels'),
+        obsScenes: patterns('obs_scenes'),
+        dailyQuota: quota,
+        timeZone,
+        windows
+      };
+    });
+  }
 
-    this.validateCache = {
-      user_id: response.user_id,
-      login: response.login,
-      user_name: response.user_name,
-      scopes: response.scopes || [],
-      expires_at: Date.now() + ((response.expires_in || 0) * 1000)
-    };
+  findRule(agentId, missionId) {
+    return this.rules.find((rule) => matchesAny(rule.agents, agentId)
+      && (!rule.missions || matchesAny(rule.missions, missionId))) || null;
+  }
 
-    return this.validateCache;
+  quotaKey(rule, agentId, action, date) {
+    return `${rule.id}|${agentId}|${action}|${date}`;
   }
 
-  async resolveBroadcasterId(channel) {
-    const normalized = String(channel || '').trim().toLowerCase();
-    if (this.defaultBroadcasterId && /^[0-9]+$/.test(this.defaultBroadcasterId)) {
-      return this.defaultBroadcasterId;
-    }
-    if (normalized && this.channelCache.has(normalized)) {
-      return this.channelCache.get(normalized);
+  quotaFor(rule, action) {
+    if (Object.hasOwn(rule.dailyQuota, action)) {
+      return { action, limit: rule.dailyQuota[action] };
     }
-    if (normalized) {
-      const data = await this.request('GET', '/users', { query: { login: normalized } });
-      const found = Array.isArray(data?.data) ? data.data[0] : null;
-      if (!found?.id) {
-        throw new Error(`unable to resolve twitch broadcaster for channel ${normalized}`);
-      }
-      this.channelCache.set(normalized, found.id);
-      return found.id;
-    }
-
-    const identity = await this.validateIdentity();
-    if (!identity?.user_id) {
-      throw new Error('missing broadcaster id in request and no service default configured');
+    if (Object.hasOwn(rule.dailyQuota, '*')) {
+      return { action: '*', limit: rule.dailyQuota['*'] };
     }
-    return identity.user_id;
+    return null;
   }
 
-  async resolveGameId(gameName, broadcasterId) {
-    const normalized = String(gameName || '').trim();
-    if (!normalized) return null;
-    const cached = this.gameCache.get(normalized.toLowerCase());
-    if (cached) return cached;
+  evaluate({ agent_id: agentId, mission_id: missionId, action, args = {} }, now = new Date()) {
+    if (!this.enabled) {
+      return { allowed: true, rule: null };
+    }
 
-    const data = await this.request('GET', '/games', { query: { name: normalized } });
-    const game = Array.isArray(data?.data) ? data.data[0] : null;
-    if (!game?.id) {
-      throw new Error(`unable to resolve game "${normalized}"`);
+    const rule = this.findRule(agentId, missionId);
+    const deny = (reason) => ({ allowed: false, rule: rule?.id || null, reason });
+    if (!rule) {
+      return this.defaultEffect === 'allow'
+        ? { allowed: true, rule: null }
+        : deny(`no policy rule matches agent "${agentId}"${missionId ? ` on mission "${missionId}"` : ''}`);
     }
-    const gameId = game.id;
-    this.gameCache.set(normalized.toLowerCase(), gameId);
-    return gameId;
-  }
 
-  async setChannelMetadata(args = {}) {
-    const { channel, title, game, game_id } = args;
-    const broadcasterId = await this.resolveBroadcasterId(channel);
+    if (!matchesAny(rule.actions, action)) {
+      return deny(`rule "${rule.id}" does not allow action ${action}`);
+    }
 
-    const payload = {};
-    if (title) payload.title = title;
-    if (game_id || game) {
-      const resolvedGameId = game_id || await this.resolveGameId(game);
-      if (resolvedGameId) {
-        payload.game_id = resolvedGameId;
+    if (rule.channels) {
+      const channel = args.channel || this.defaultChannel;
+      if (!matchesAny(rule.channels, channel)) {
+        return deny(`rule "${rule.id}" does not allow channel "${channel || '(default)'}"`);
       }
     }
 
-    if (Object.keys(payload).length === 0) {
-      return { status: 'skipped', reason: 'no metadata changes requested' };
+    const scene = args.obs_scene || args.scene;
+    if (rule.obsScenes && scene && !matchesAny(rule.obsScenes, scene)) {
+      return deny(`rule "${rule.id}" does not allow OBS scene "${scene}"`);
     }
 
-    const response = await this.request('PATCH', '/channels', {
-      query: { broadcaster_id: broadcasterId },
-      body: payload
-    });
+    const clock = localClock(now, rule.timeZone);
+    if (rule.windows.length > 0 && !rule.windows.some((window) => windowIsOpen(window, clock))) {
+      return deny(`rule "${rule.id}" does not allow actions at this time (${rule.timeZone})`);
+    }
 
-    return {
-      status: 'updated',
-      broadcaster_id: broadcasterId,
-      payload,
-      response
-    };
+    const quota = this.quotaFor(rule, action);
+    if (quota) {
+      const key = this.quotaKey(rule, agentId, quota.action, clock.date);
+      const used = this.usage.get(key) || 0;
+      if (used >= quota.limit) {
+        return deny(`rule "${rule.id}" daily quota of ${quota.limit} for ${quota.action} exhausted`);
+      }
+      return { allowed: true, rule: rule.id, quota: { key, limit: quota.limit, used } };
+    }
+
+    return { allowed: true, rule: rule.id };
   }
 
-  async setTitle({ channel, title }) {
-    if (!title) {
-      return { status: 'skipped', reason: 'no title provided' };
+  loadUsage() {
+    if (!this.usagePath) return;
+    let parsed;
+    try {
+      parsed = JSON.parse(fs.readFileSync(this.usagePath, 'utf8'));
+    } catch (error) {
+      if (error?.code === 'ENOENT') return;
+      throw new Error(`unable to load policy usage ${this.usagePath}: ${error.message}`);
+    }
+    for (const [key, used] of Object.entries(normalizeBody(parsed?.usage))) {
+      if (Number.isInteger(used)) this.usage.set(key, used);
     }
-    return this.setChannelMetadata({ channel, title });
   }
 
-  async setGame({ channel, game, game_id }) {
-    if (!game && !game_id) {
-      return { status: 'skipped', reason: 'no game provided' };
-    }
-    const payload = { channel, game, game_id };
-    return this.setChannelMetadata(payload);
+  persistUsage() {
+    if (!this.usagePath) return;
+    const snapshot = JSON.stringify({ version: 1, saved_at: nowIso(), usage: Object.fromEntries(this.usage) });
+    const tempPath = `${this.usagePath}.${process.pid}.tmp`;
+    fs.mkdirSync(path.dirname(this.usagePath), { recursive: true });
+    fs.writeFileSync(tempPath, snapshot);
+    fs.renameSync(tempPath, this.usagePath);
   }
 
-  async sendChatMessage({ channel, message, reply_parent_message_id }) {
-    const broadcasterId = await this.resolveBroadcasterId(channel);
-    const identity = await this.validateIdentity();
-    const senderId = identity?.user_id;
-    if (!senderId) {
-      throw new Error('could not resolve chat sender id from token');
+  recordUsage(decision, now = new Date()) {
+    if (!decision?.quota) return;
+    this.usage.set(decision.quota.key, (this.usage.get(decision.quota.key) || 0) + 1);
+    const oldest = new Date(now.getTime() - 86_400_000).toISOString().slice(0, 10);
+    for (const key of this.usage.keys()) {
+      if (key.slice(key.lastIndexOf('|') + 1) < oldest) this.usage.delete(key);
     }
+    this.persistUsage();
+  }
+}
 
-    const body = {
-      broadcaster_id: broadcasterId,
-      sender_id: senderId,
-      message
-    };
-    if (reply_parent_message_id) {
-      body.reply_parent_message_id = reply_parent_message_id;
+function rateLimitClassFor(action) {
+  if (STREAM_RATE_LIMITED_ACTIONS.has(action)) return 'stream';
+  if (READ_RATE_LIMITED_ACTIONS.has(action)) return 'read';
+  return 'write';
+}
+
+function parseBucketLimit(raw, label) {
+  const limit = normalizeBody(raw);
+  if (!Number.isInteger(limit.burst) || limit.burst < 1) {
+    throw new Error(`rate limit ${label} burst must be a positive integer`);
+  }
+  if (!Number.isFinite(limit.per_minute) || limit.per_minute <= 0) {
+    throw new Error(`rate limit ${label} per_minute must be a positive number`);
+  }
+  return { burst: limit.burst, per_minute: limit.per_minute };
+}
+
+function sharedRateLimit(limit) {
+  return {
+    burst: limit.burst * SHARED_RATE_LIMIT_FACTOR,
+    per_minute: limit.per_minute * SHARED_RATE_LIMIT_FACTOR
+  };
+}
+
+// `shared` caps one action across every agent and channel, since agent_id is
+// chosen by the caller. It defaults to ten times the per-agent limit.
+function parseRateLimit(raw, label) {
+  const limit = parseBucketLimit(raw, label);
+  if (normalizeBody(raw).shared === undefined) {
+    return { ...limit, shared: sharedRateLimit(limit) };
+  }
+  const shared = parseBucketLimit(raw.shared, `${label} shared`);
+  if (shared.burst < limit.burst || shared.per_minute < limit.per_minute) {
+    throw new Error(`rate limit ${label} shared burst and per_minute must be at least the per-agent limit`);
+  }
+  return { ...limit, shared };
+}
+
+class ActionRateLimiter {
+  constructor(document = null, source = null) {
+    this.source = source;
+    this.classes = {};
+    for (const name of RATE_LIMIT_CLASS_NAMES) {
+      const limit = {
+        burst: DEFAULT_RATE_LIMITS[name].burst,
+        per_minute: isFiniteNumber(DEFAULT_RATE_LIMITS[name].per_minute, 60)
+      };
+      this.classes[name] = { ...limit, shared: sharedRateLimit(limit) };
+    }
+    this.actions = {};
+    this.buckets = new Map();
+    this.sharedBuckets = new Map();
+    if (document) {
+      this.compile(document);
     }
+  }
 
-    const response = await this.request('POST', '/chat/messages', { body });
-    return {
-      status: 'posted',
-      broadcaster_id: broadcasterId,
-      sender_id: senderId,
-      payload: response
-    };
+  static fromFile(filePath = RATE_LIMITS_PATH) {
+    if (!filePath) {
+      return new ActionRateLimiter();
+    }
+    const resolved = path.resolve(filePath);
+    let document;
+    try {
+      document = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    } catch (error) {
+      throw new Error(`unable to load rate limits ${resolved}: ${error.message}`);
+    }
+    return new ActionRateLimiter(document, resolved);
   }
 
-  async createClip({ channel }) {
-    const broadcasterId = await this.resolveBroadcasterId(channel);
-    const response = await this.request('POST', '/clips', {
-      query: { broadcaster_id: broadcasterId }
-    });
+  compile(document) {
+    const body = normalizeBody(document);
+    for (const [name, raw] of Object.entries(normalizeBody(body.classes))) {
+      if (!RATE_LIMIT_CLASS_NAMES.includes(name)) {
+        throw new Error(`rate limit class "${name}" must be one of ${RATE_LIMIT_CLASS_NAMES.join(', ')}`);
+      }
+      this.classes[name] = parseRateLimit(raw, `class "${name}"`);
+    }
+    for (const [action, raw] of Object.entries(normalizeBody(body.actions))) {
+      if (!TWITCH_TOOL_ACTIONS.includes(action)) {
+        throw new Error(`rate limit action "${action}" is not a supported action`);
+      }
+      this.actions[action] = parseRateLimit(raw, `action "${action}"`);
+    }
+  }
 
-    const clip = Array.isArray(response?.data) ? response.data[0] : null;
-    if (!clip?.id) {
+  limitFor(action) {
+    const limitClass = rateLimitClassFor(action);
+    return { class: limitClass, ...(this.actions[action] || this.classes[limitClass]) };
+  }
+
+  refill(bucket, limit, now) {
+    const ratePerMs = limit.per_minute / 60_000;
+    bucket.tokens = Math.min(limit.burst, bucket.tokens + (now - bucket.updatedAt) * ratePerMs);
+    bucket.updatedAt = now;
+  }
+
+  bucketFor(buckets, key, limit, now) {
+    const bucket = buckets.get(key) || { tokens: limit.burst, updatedAt: now };
+    this.refill(bucket, limit, now);
+    buckets.set(key, bucket);
+    return bucket;
+  }
+
+  take(action, agentId, channel, now = Date.now()) {
+    const limit = this.limitFor(action);
+    const checks = [
+      { scope: 'agent', limit, bucket: this.bucketFor(this.buckets, `${action}|${agentId}|${channel}`, limit, now) },
+      { scope: 'shared', limit: limit.shared, bucket: this.bucketFor(this.sharedBuckets, action, limit.shared, now) }
+    ];
+    const allowed = checks.every(({ bucket }) => bucket.tokens >= 1);
+    if (allowed) {
+      checks.forEach(({ bucket }) => {
+        bucket.tokens -= 1;
+      });
+    }
+
+    const results = checks.map(({ scope, limit: bucketLimit, bucket }) => {
+      const ratePerMs = bucketLimit.per_minute / 60_000;
       return {
-        status: 'created',
-        broadcaster_id: broadcasterId,
-        payload: response
+        scope,
+        limit: bucketLimit.burst,
+        remaining: Math.floor(bucket.tokens),
+        reset_ms: Math.ceil((bucketLimit.burst - bucket.tokens) / ratePerMs),
+        retry_after_ms: allowed ? 0 : Math.max(0, Math.ceil((1 - bucket.tokens) / ratePerMs))
       };
+    });
+    const [stricter] = results.sort((a, b) => b.retry_after_ms - a.retry_after_ms
+      || a.remaining - b.remaining
+      || b.reset_ms - a.reset_ms);
+    return { allowed, class: limit.class, ...stricter };
+  }
+
+  sweep(now = Date.now()) {
+    for (const [key, bucket] of this.buckets) {
+      const limit = this.limitFor(key.split('|')[0]);
+      this.refill(bucket, limit, now);
+      if (bucket.tokens >= limit.burst) this.buckets.delete(key);
+    }
+    for (const [action, bucket] of this.sharedBuckets) {
+      const { shared } = this.limitFor(action);
+      this.refill(bucket, shared, now);
+      if (bucket.tokens >= shared.burst) this.sharedBuckets.delete(action);
     }
+  }
 
+  status() {
     return {
-      status: 'created',
-      clip_id: clip.id,
-      edit_url: clip.edit_url,
-      broadcaster_id: broadcasterId
+      source: this.source,
+      classes: this.classes,
+      actions: this.actions,
+      buckets: this.buckets.size + this.sharedBuckets.size
     };
   }
 }
 
-class OBSStreamController {
-  constructor() {
-    this.wsUrl = OBS_WS_URL;
-    this.password = OBS_WS_PASSWORD;
-    this.obs = OBSWebSocket ? new OBSWebSocket() : null;
-    this.connected = false;
-    this.connecting = null;
-    this.setupEvents();
+function setRateLimitHeaders(res, rateLimit) {
+  res.set('x-ratelimit-limit', String(rateLimit.limit));
+  res.set('x-ratelimit-remaining', String(rateLimit.remaining));
+  res.set('x-ratelimit-reset', String(Math.ceil(rateLimit.reset_ms / 1000)));
+  if (!rateLimit.allowed) {
+    res.set('retry-after', String(Math.max(1, Math.ceil(rateLimit.retry_after_ms / 1000))));
   }
+}
 
-  isConfigured() {
-    return Boolean(this.obs && this.wsUrl);
+function chatRolesFor(message) {
+  const roles = new Set(['everyone']);
+  for (const badge of message?.badges || []) {
+    if (badge.set_id === 'founder') roles.add('subscriber');
+    if (CHAT_COMMAND_ROLES.includes(badge.set_id)) roles.add(badge.set_id);
   }
+  return roles;
+}
 
-  setupEvents() {
-    if (!this.obs || this.__wired) return;
-    this.obs.on('ConnectionClosed', () => {
-      this.connected = false;
-    });
-    this.obs.on('ConnectionOpened', () => {
-      this.connected = true;
-    });
-    this.obs.on('ConnectionError', () => {
-      this.connected = false;
-    });
-    this.__wired = true;
+function fillCommandTemplate(value, variables) {
+  if (typeof value !== 'string') return value;
+  return value.replace(/\{([A-Za-z0-9_]+)\}/g, (_match, name) => variables[name] ?? '').trim();
+}
+
+class ChatCommandRouter {
+  constructor(document = null, source = null) {
+    this.source = source;
+    this.enabled = Boolean(document);
+    this.prefix = '!';
+    this.agentId = 'chat-router';
+    this.commands = [];
+    this.cooldowns = new Map();
+    this.stats = { matched: 0, routed: 0, ignored_self: 0, denied_role: 0, cooling_down: 0 };
+    if (document) {
+      this.compile(document);
+    }
   }
 
-  async connect() {
-    if (!this.isConfigured()) {
-      throw new Error('OBS websocket dependency is not installed or OBS URL is missing');
+  static fromFile(filePath = CHAT_COMMANDS_PATH) {
+    if (!filePath) {
+      return new ChatCommandRouter();
     }
-    if (this.connected) {
-      return;
+    const resolved = path.resolve(filePath);
+    let document;
+    try {
+      document = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    } catch (error) {
+      throw new Error(`unable to load chat commands ${resolved}: ${error.message}`);
     }
-    if (this.connecting) {
-      return this.connecting;
+    return new ChatCommandRouter(document, resolved);
+  }
+
+  compile(document) {
+    const body = normalizeBody(document);
+    if (!Array.isArray(body.commands)) {
+      throw new Error('chat commands "commands" must be an array');
+    }
+    this.prefix = typeof body.prefix === 'string' && body.prefix ? body.prefix : '!';
+    this.agentId = String(body.agent_id || 'chat-router');
+    if (!/^[A-Za-z0-9._-]{2,120}$/.test(this.agentId)) {
+      throw new Error('chat commands "agent_id" must be 2-120 chars');
     }
+    const seen = new Set();
+    this.commands = body.commands.map((raw, index) => {
+      const command = normalizeBody(raw);
+      const id = String(command.id || `command_${index + 1}`);
+      if (seen.has(id)) {
+        throw new Error(`chat command id "${id}" is duplicated`);
+      }
+      seen.add(id);
 
-    this.connecting = (async () => {
-      try {
-        await withTimeout('obs connect', async () => {
-          await withRetry(
-            async () => {
-              const connectArgs = [this.wsUrl];
-              if (this.password) connectArgs.push(this.password);
-              await this.obs.connect(...connectArgs);
-            },
-            {
-              retries: OBS_OPERATION_RETRIES,
-              delayMs: 500,
-              label: 'obs websocket connect'
-            }
-          );
-        }, OBS_CONNECT_TIMEOUT_MS);
-        this.connected = true;
-      } finally {
-        this.connecting = null;
+      const names = [].concat(command.command || []).map((name) => String(name).trim().toLowerCase()).filter(Boolean);
+      let pattern = null;
+      if (command.pattern !== undefined) {
+        try {
+          pattern = new RegExp(String(command.pattern), 'i');
+        } catch (error) {
+          throw new Error(`chat command "${id}" pattern is invalid: ${error.message}`);
+        }
+      }
+      if (names.length === 0 && !pattern) {
+        throw new Error(`chat command "${id}" needs a command name or pattern`);
       }
-    })();
 
-    return this.connecting;
+      if (Boolean(command.action) === Boolean(command.webhook)) {
+        throw new Error(`chat command "${id}" must set exactly one of action or webhook`);
+      }
+      if (command.action && !TWITCH_TOOL_ACTIONS.includes(command.action)) {
+        throw new Error(`chat command "${id}" action "${command.action}" is not supported`);
+      }
+      let webhook = null;
+      if (command.webhook) {
+        try {
+          webhook = new URL(String(command.webhook));
+        } catch {
+          throw new Error(`chat command "${id}" webhook must be an absolute URL`);
+        }
+        if (webhook.protocol !== 'http:' && webhook.protocol !== 'https:') {
+          throw new Error(`chat command "${id}" webhook must use http or https`);
+        }
+      }
+
+      const roles = command.roles === undefined ? ['everyone'] : command.roles;
+      if (!Array.isArray(roles) || roles.some((role) => !CHAT_COMMAND_ROLES.includes(role))) {
+        throw new Error(`chat command "${id}" roles must use ${CHAT_COMMAND_ROLES.join(', ')}`);
+      }
+      const seconds = (key) => {
+        const value = command[key] === undefined ? 0 : command[key];
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+          throw new Error(`chat command "${id}" ${key} must be a non-negative number`);
+        }
+        return value * 1000;
+      };
+      if (command.channels !== undefined
+        && (!Array.isArray(command.channels) || command.channels.some((item) => typeof item !== 'string'))) {
+        throw new Error(`chat command "${id}" channels must be an array of strings`);
+      }
+
+      return {
+        id,
+        names,
+        pattern,
+        action: command.action || null,
+        args: normalizeBody(command.args),
+        webhook: webhook ? webhook.toString() : null,
+        agentId: String(command.agent_id || this.agentId),
+        missionId: command.mission_id ? String(command.mission_id) : null,
+        roles,
+        channels: command.channels ? command.channels.map(globToRegExp) : null,
+        userCooldownMs: seconds('user_cooldown_seconds'),
+        globalCooldownMs: seconds('global_cooldown_seconds')
+      };
+    });
   }
 
-  async call(requestType, requestData = {}) {
-    await this.connect();
-    return this.obs.call(requestType, requestData);
+  match(channel, message) {
+    const text = String(message?.text || '').trim();
+    if (!text.startsWith(this.prefix)) return null;
+    const [head = '', ...rest] = text.slice(this.prefix.length).split(/\s+/);
+    for (const command of this.commands) {
+      if (command.channels && !matchesAny(command.channels, channel)) continue;
+      if (command.names.includes(head.toLowerCase())) {
+        return { command, groups: {}, rest: rest.join(' ') };
+      }
+      const found = command.pattern ? command.pattern.exec(text) : null;
+      if (found) {
+        return { command, groups: { ...(found.groups || {}) }, rest: rest.join(' ') };
+      }
+    }
+    return null;
   }
 
-  normalizeStreamState(response) {
-    const active = Boolean(
-      response?.outputActive ??
-      response?.streaming ??
-      response?.outputState === 'OBS_WEBSOCKET_OUTPUT_STARTED'
-    );
+  evaluate(channel, message, { senderId = null, now = Date.now() } = {}) {
+    const matched = this.match(channel, message);
+    if (!matched) return null;
+    this.stats.matched += 1;
+    const { command } = matched;
+
+    if (senderId && message.author?.id === senderId) {
+      this.stats.ignored_self += 1;
+      return { command, skipped: 'self' };
+    }
+
+    const roles = chatRolesFor(message);
+    if (!roles.has('broadcaster') && !command.roles.some((role) => roles.has(role))) {
+      this.stats.denied_role += 1;
+      return { command, skipped: 'role' };
+    }
+
+    const globalKey = `${command.id}|${channel}`;
+    const userKey = `${globalKey}|${message.author?.id || message.author?.login}`;
+    if ((this.cooldowns.get(globalKey) || 0) > now || (this.cooldowns.get(userKey) || 0) > now) {
+      this.stats.cooling_down += 1;
+      return { command, skipped: 'cooldown' };
+    }
+    if (command.globalCooldownMs) this.cooldowns.set(globalKey, now + command.globalCooldownMs);
+    if (command.userCooldownMs) this.cooldowns.set(userKey, now + command.userCooldownMs);
+    if (this.cooldowns.size > 1000) {
+      for (const [key, until] of this.cooldowns) {
+        if (until <= now) this.cooldowns.delete(key);
+      }
+    }
+
+    const variables = {
+      ...matched.groups,
+      rest: matched.rest,
+      user: message.author?.login || '',
+      user_name: message.author?.name || '',
+      message_id: message.id
+    };
+    const args = {};
+    for (const [key, value] of Object.entries(command.args)) {
+      const filled = fillCommandTemplate(value, variables);
+      if (filled !== '') args[key] = filled;
+    }
+    this.stats.routed += 1;
+    return { command, args, variables };
+  }
+
+  status() {
     return {
-      active,
-      outputState: response?.outputState || (active ? 'started' : 'stopped'),
-      outputDuration: response?.outputDuration,
-      outputTimecode: response?.outputTimecode,
-      raw: response
+      enabled: this.enabled,
+      source: this.source,
+      commands: this.commands.length,
+      ...this.stats
     };
   }
+}
+
+function requiredScopesFor(action, args = {}) {
+  const scopes = [...(ACTION_REQUIRED_SCOPES[action] || [])];
+  if (action === 'twitch.start_stream' && (args.title || args.game || args.game_id)) {
+    scopes.push('channel:manage:broadcast');
+  }
+  return scopes;
+}
 
-  async getStreamState() {
+function jobListItem(job) {
+  return {
+    ...jobSummary(job),
+    agent_id: job.agent_id,
+    mission_id: job.mission_id,
+    correlation_id: job.correlation_id,
+    ...(job.schedule ? { schedule: job.schedule } : {})
+  };
+}
+
+function encodeJobCursor(job) {
+  return Buffer.from(JSON.stringify([job.created_at, job.id])).toString('base64url');
+}
+
+function decodeJobCursor(cursor) {
+  try {
+    const [createdAt, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof createdAt !== 'string' || typeof id !== 'string') return null;
+    return { createdAt, id };
+  } catch {
+    return null;
+  }
+}
+
+function compareJobsNewestFirst(left, right) {
+  if (left.created_at !== right.created_at) {
+    return left.created_at < right.created_at ? 1 : -1;
+  }
+  if (left.id === right.id) return 0;
+  return left.id < right.id ? 1 : -1;
+}
+
+class MemoryJobBackend {
+  constructor() {
+    this.jobs = new Map();
+    this.idempotency = new Map();
+  }
+
+  load() {}
+
+  persist() {}
+}
+
+class FileJobBackend extends MemoryJobBackend {
+  constructor(filePath) {
+    super();
+    this.filePath = path.resolve(filePath);
+  }
+
+  load() {
+    let parsed;
     try {
-      const status = await this.call('GetStreamStatus');
-      return this.normalizeStreamState(status);
-    } catch {
-      const status = await this.call('GetStreamingStatus');
-      return this.normalizeStreamState(status);
+      parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error?.code === 'ENOENT') return;
+      throw new Error(`unable to load job store ${this.filePath}: ${error.message}`);
+    }
+    for (const job of Array.isArray(parsed?.jobs) ? parsed.jobs : []) {
+      if (job?.id) this.jobs.set(job.id, job);
+    }
+    for (const [key, jobId] of Object.entries(normalizeBody(parsed?.idempotency))) {
+      this.idempotency.set(key, jobId);
     }
   }
 
-  async ensureStreamState(targetActive, actionLabel) {
-    const startedAt = Date.now();
-    let lastState = null;
+  persist() {
+    const snapshot = JSON.stringify({
+      version: 1,
+      saved_at: nowIso(),
+      jobs: [...this.jobs.values()],
+      idempotency: Object.fromEntries(this.idempotency)
+    });
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(tempPath, snapshot);
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
 
-    while (Date.now() - startedAt < OBS_OPERATION_TIMEOUT_MS) {
-      lastState = await this.getStreamState();
-      if (lastState.active === targetActive) {
-        return lastState;
-      }
-      await wait(OBS_STREAM_POLL_MS);
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+class MemoryAuditBackend {
+  constructor() {
+    this.lines = [];
+    this.head = null;
+  }
+
+  readLines() {
+    return [...this.lines];
+  }
+
+  append(line) {
+    this.lines.push(line);
+  }
+
+  readHead() {
+    return this.head;
+  }
+
+  writeHead(head) {
+    this.head = head;
+  }
+}
+
+class FileAuditBackend {
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+    this.headPath = `${this.filePath}.head`;
+  }
+
+  readLines() {
+    let raw;
+    try {
+      raw = fs.readFileSync(this.filePath, 'utf8');
+    } catch (error) {
+      if (error?.code === 'ENOENT') return [];
+      throw new Error(`unable to read audit log ${this.filePath}: ${error.message}`);
+    }
+    const lines = raw.split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+  }
+
+  append(line) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, `${line}\n`);
+  }
+
+  readHead() {
+    try {
+      return JSON.parse(fs.readFileSync(this.headPath, 'utf8'));
+    } catch (error) {
+      if (error?.code === 'ENOENT') return null;
+      return { invalid: true };
+    }
+  }
+
+  writeHead(head) {
+    const tempPath = `${this.headPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(head));
+    fs.renameSync(tempPath, this.headPath);
+  }
+}
+
+class AuditLog {
+  constructor(backend) {
+    this.backend = backend;
+    this.seq = 0;
+    this.lastHash = AUDIT_GENESIS_HASH;
+  }
+
+  static fromConfig(driver = AUDIT_STORE_DRIVER) {
+    if (driver === 'memory') {
+      return new AuditLog(new MemoryAuditBackend());
+    }
+    if (driver === 'file') {
+      return new AuditLog(new FileAuditBackend(AUDIT_LOG_PATH));
+    }
+    throw new Error(`Unsupported TOOL_AUDIT_STORE "${driver}" (expected file or memory)`);
+  }
+
+  static hashEntry(entry) {
+    const { hash, ...content } = entry;
+    return crypto.createHash('sha256').update(canonicalJson(content)).digest('hex');
+  }
+
+  load() {
+    const lines = this.backend.readLines();
+    for (let index = lines.length - 1; index >= 0; index -= 1) {
+      try {
+        const entry = JSON.parse(lines[index]);
+        if (Number.isInteger(entry?.seq) && typeof entry.hash === 'string') {
+          this.seq = entry.seq;
+          this.lastHash = entry.hash;
+          break;
+        }
+      } catch {
+        // keep looking for the last intact entry
+      }
+    }
+    const head = this.backend.readHead();
+    if (Number.isInteger(head?.seq) && head.seq > this.seq && typeof head.hash === 'string') {
+      this.seq = head.seq;
+      this.lastHash = head.hash;
+    }
+    return this.verify();
+  }
+
+  append(record) {
+    const entry = JSON.parse(JSON.stringify({
+      seq: this.seq + 1,
+      at: nowIso(),
+      prev_hash: this.lastHash,
+      ...record
+    }));
+    entry.hash = AuditLog.hashEntry(entry);
+    this.backend.append(JSON.stringify(entry));
+    this.backend.writeHead({ seq: entry.seq, hash: entry.hash, at: entry.at });
+    this.seq = entry.seq;
+    this.lastHash = entry.hash;
+    return entry;
+  }
+
+  entries() {
+    const entries = [];
+    for (const line of this.backend.readLines()) {
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        // verify() reports unreadable lines
+      }
+    }
+    return entries;
+  }
+
+  query(filters = {}, { limit = AUDIT_QUERY_DEFAULT_LIMIT, before = null } = {}) {
+    const matches = this.entries()
+      .filter((entry) => !before || entry.seq < before)
+      .filter((entry) => !filters.event || entry.event === filters.event)
+      .filter((entry) => !filters.agent_id || entry.caller?.agent_id === filters.agent_id)
+      .filter((entry) => !filters.action || entry.action === filters.action)
+      .filter((entry) => !filters.mission_id || entry.mission_id === filters.mission_id)
+      .filter((entry) => !filters.channel || entry.channel === filters.channel)
+      .filter((entry) => !filters.status || entry.status === filters.status)
+      .filter((entry) => !filters.job_id || entry.job_id === filters.job_id)
+      .filter((entry) => !filters.since || Date.parse(entry.at) >= filters.since)
+      .filter((entry) => !filters.until || Date.parse(entry.at) <= filters.until)
+      .reverse();
+    const page = matches.slice(0, limit);
+    return {
+      entries: page,
+      next_cursor: matches.length > limit ? String(page[page.length - 1].seq) : null
+    };
+  }
+
+  verify() {
+    const lines = this.backend.readLines();
+    let previousHash = AUDIT_GENESIS_HASH;
+    let lastSeq = 0;
+    const broken = (line, seq, reason) => ({
+      ok: false,
+      checked: line - 1,
+      last_seq: lastSeq,
+      error: { line, seq, reason }
+    });
+
+    for (let index = 0; index < lines.length; index += 1) {
+      let entry;
+      try {
+        entry = JSON.parse(lines[index]);
+      } catch {
+        return broken(index + 1, null, 'entry is not valid JSON (partial write or edit)');
+      }
+      if (entry?.seq !== lastSeq + 1) {
+        return broken(index + 1, entry?.seq ?? null, `expected seq ${lastSeq + 1}; entries were removed or reordered`);
+      }
+      if (entry.prev_hash !== previousHash) {
+        return broken(index + 1, entry.seq, 'prev_hash does not match the previous entry');
+      }
+      if (AuditLog.hashEntry(entry) !== entry.hash) {
+        return broken(index + 1, entry.seq, 'hash does not match the entry contents; the entry was edited');
+      }
+      previousHash = entry.hash;
+      lastSeq = entry.seq;
+    }
+
+    const head = this.backend.readHead();
+    if (head?.invalid) {
+      return broken(lines.length + 1, null, 'head file is unreadable');
+    }
+    if (head && head.seq > lastSeq) {
+      return broken(lines.length + 1, head.seq, `log ends at seq ${lastSeq} but ${head.seq} entries were written; the log was truncated`);
+    }
+    if (head && head.seq === lastSeq && head.hash !== previousHash) {
+      return broken(lines.length, lastSeq, 'last entry does not match the recorded head');
+    }
+    return { ok: true, checked: lines.length, last_seq: lastSeq, last_hash: previousHash };
+  }
+
+  status() {
+    return {
+      store: this.backend instanceof FileAuditBackend ? 'file' : 'memory',
+      path: this.backend.filePath || null,
+      last_seq: this.seq
+    };
+  }
+}
+
+class JobStore extends EventEmitter {
+  constructor(backend = new MemoryJobBackend()) {
+    super();
+    this.setMaxListeners(0);
+    this.backend = backend;
+    this.sequence = 0;
+    this.events = [];
+  }
+
+  static fromConfig(driver = JOB_STORE_DRIVER) {
+    if (driver === 'memory') {
+      return new JobStore(new MemoryJobBackend());
+    }
+    if (driver === 'file') {
+      return new JobStore(new FileJobBackend(JOB_STORE_PATH));
+    }
+    throw new Error(`Unsupported TOOL_JOB_STORE "${driver}" (expected file or memory)`);
+  }
+
+  static buildProgress(percent, message) {
+    return {
+      percent,
+      message,
+      updatedAt: nowIso()
+    };
+  }
+
+  static normalizeId(value, fallbackPrefix = 'job') {
+    if (typeof value === 'string' && /^[\w.-]{4,120}$/.test(value.trim())) {
+      return value.trim();
+    }
+    return `${fallbackPrefix}_${crypto.randomBytes(8).toString('hex')}`;
+  }
+
+  static createJob({
+    action,
+    requestId,
+    agentId,
+    missionId,
+    correlationId,
+    args,
+    callbackUrl,
+    source,
+    schedule
+  }) {
+    const id = this.normalizeId(null, 'tool');
+    const job = {
+      id,
+      action,
+      request_id: requestId,
+      agent_id: agentId,
+      mission_id: missionId,
+      correlation_id: correlationId,
+      args,
+      status: 'queued',
+      progress: this.buildProgress(5, 'queued'),
+      result: {},
+      created_at: nowIso(),
+      updated_at: nowIso()
+    };
+    if (source) {
+      job.source = source;
+    }
+    if (schedule) {
+      job.status = 'scheduled';
+      job.progress = this.buildProgress(0, `scheduled for ${schedule.run_at}`);
+      job.schedule = { ...schedule, series_id: schedule.series_id || id };
+    }
+    if (callbackUrl) {
+      job.callback = {
+        url: callbackUrl,
+        status: 'pending',
+        attempts: []
+      };
+    }
+    return job;
+  }
+
+  static completeJob(job, result = {}, finalStatus = 'done', reason) {
+    job.status = finalStatus;
+    job.progress = this.buildProgress(100, finalStatus);
+    job.result = {
+      ...job.result,
+      ...result
+    };
+    if (reason) {
+      job.result.reason = reason;
+    }
+    job.updated_at = nowIso();
+    return job;
+  }
+
+  static cancelJob(job, reason = 'cancelled by request') {
+    job.status = 'cancelled';
+    job.result = {
+      ...(job.result || {}),
+      reason
+    };
+    job.progress = this.buildProgress(100, 'cancelled');
+    job.updated_at = nowIso();
+    return job;
+  }
+
+  static failJob(job, error) {
+    job.status = 'failed';
+    job.result = {
+      ...(job.result || {}),
+      ...(error?.result || {}),
+      error: String(error?.message || error || 'tool execution failed')
+    };
+    job.progress = this.buildProgress(100, 'failed');
+    job.updated_at = nowIso();
+    return job;
+  }
+
+  static isTerminal(job) {
+    return job?.status === 'done' || job?.status === 'failed' || job?.status === 'cancelled';
+  }
+
+  load() {
+    this.backend.load();
+    let interrupted = 0;
+    for (const job of this.backend.jobs.values()) {
+      this.sequence = Math.max(this.sequence, Number(job.event_seq) || 0);
+    }
+    for (const job of this.backend.jobs.values()) {
+      if (job.status === 'queued' || job.status === 'running' || job.status === 'cancelling') {
+        JobStore.failJob(job, 'interrupted by restart');
+        job.result.reason = 'interrupted by restart';
+        job.event_seq = ++this.sequence;
+        interrupted += 1;
+      }
+    }
+    this.sweep();
+    if (interrupted > 0) {
+      this.backend.persist();
+    }
+    return { jobs: this.backend.jobs.size, interrupted };
+  }
+
+  get(id) {
+    return this.backend.jobs.get(id) || null;
+  }
+
+  count() {
+    return this.backend.jobs.size;
+  }
+
+  list() {
+    return [...this.backend.jobs.values()];
+  }
+
+  query(filters = {}, { limit = JOB_LIST_DEFAULT_LIMIT, after = null } = {}) {
+    const matches = this.list()
+      .filter((job) => (!filters.agentId || job.agent_id === filters.agentId)
+        && (!filters.missionId || job.mission_id === filters.missionId)
+        && (!filters.correlationId || job.correlation_id === filters.correlationId)
+        && (!filters.action || job.action === filters.action)
+        && (!filters.statuses || filters.statuses.includes(job.status))
+        && (!filters.createdAfter || Date.parse(job.created_at) >= filters.createdAfter)
+        && (!filters.createdBefore || Date.parse(job.created_at) < filters.createdBefore))
+      .sort(compareJobsNewestFirst);
+
+    const startIndex = after
+      ? matches.findIndex((job) => compareJobsNewestFirst({ created_at: after.createdAt, id: after.id }, job) < 0)
+      : 0;
+    const page = startIndex < 0 ? [] : matches.slice(startIndex, startIndex + limit);
+    const hasMore = startIndex >= 0 && startIndex + limit < matches.length;
+
+    return {
+      jobs: page,
+      next_cursor: hasMore ? encodeJobCursor(page[page.length - 1]) : null
+    };
+  }
+
+  save(job, { publish = true } = {}) {
+    if (!publish) {
+      this.backend.jobs.set(job.id, job);
+      this.backend.persist();
+      return job;
+    }
+    job.updated_at = nowIso();
+    job.event_seq = ++this.sequence;
+    this.backend.jobs.set(job.id, job);
+    this.backend.persist();
+    this.publish(job);
+    return job;
+  }
+
+  publish(job) {
+    const entry = {
+      id: job.event_seq,
+      event: JobStore.isTerminal(job) ? job.status : 'progress',
+      job: JSON.parse(JSON.stringify(job))
+    };
+    this.events.push(entry);
+    const limit = isFiniteNumber(JOB_EVENT_BUFFER_SIZE, 500);
+    if (this.events.length > limit) {
+      this.events.splice(0, this.events.length - limit);
+    }
+    this.emit('event', entry);
+    return entry;
+  }
+
+  eventsSince(lastEventId, predicate) {
+    return this.events.filter((entry) => entry.id > lastEventId && predicate(entry.job));
+  }
+
+  findByIdempotencyKey(key) {
+    const jobId = this.backend.idempotency.get(key);
+    if (!jobId) return null;
+    const job = this.get(jobId);
+    if (!job) {
+      this.backend.idempotency.delete(key);
+      this.backend.persist();
+    }
+    return job;
+  }
+
+  add(job, idempotencyKey) {
+    if (idempotencyKey) {
+      this.backend.idempotency.set(idempotencyKey, job.id);
+    }
+    return this.save(job);
+  }
+
+  sweep(ttlMs = JOB_TTL_MS) {
+    const now = Date.now();
+    let removed = 0;
+    for (const [id, job] of this.backend.jobs) {
+      if (job.status === 'scheduled') continue;
+      const changedAt = Date.parse(job.updated_at || job.created_at || 0);
+      if (Number.isFinite(changedAt) && now - changedAt > ttlMs) {
+        this.backend.jobs.delete(id);
+        removed += 1;
+      }
+    }
+    for (const [key, value] of this.backend.idempotency) {
+      if (!this.backend.jobs.has(value)) {
+        this.backend.idempotency.delete(key);
+        removed += 1;
+      }
+    }
+    if (removed > 0) {
+      this.backend.persist();
+    }
+    return removed;
+  }
+}
+
+class TwitchTokenStore {
+  constructor(filePath = TWITCH_TOKEN_STORE_PATH) {
+    this.filePath = path.resolve(filePath);
+    this.records = null;
+  }
+
+  load() {
+    if (this.records) return this.records;
+    try {
+      this.records = normalizeBody(JSON.parse(fs.readFileSync(this.filePath, 'utf8')));
+    } catch (error) {
+      if (error?.code !== 'ENOENT') {
+        throw new Error(`unable to load twitch token store ${this.filePath}: ${error.message}`);
+      }
+      this.records = {};
+    }
+    return this.records;
+  }
+
+  get(key) {
+    return this.load()[key] || null;
+  }
+
+  set(key, record) {
+    this.load()[key] = record;
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify(this.records, null, 2), { mode: 0o600 });
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+const twitchTokenStore = new TwitchTokenStore();
+
+// Tracks the Helix points bucket of one client id + user token from the
+// Ratelimit-* response headers. Twitch refills the bucket continuously, but
+// only reports when it will be full again, so an empty bucket waits for that.
+class HelixRateLimiter {
+  constructor() {
+    this.limit = null;
+    this.remaining = null;
+    this.resetAt = null;
+    this.updatedAt = null;
+    this.queued = 0;
+    this.throttled = 0;
+    this.lastThrottledAt = null;
+  }
+
+  update(headers, status) {
+    const limit = Number(headers.get('ratelimit-limit'));
+    const remaining = Number(headers.get('ratelimit-remaining'));
+    const reset = Number(headers.get('ratelimit-reset'));
+    if (headers.has('ratelimit-limit') && Number.isFinite(limit)) this.limit = limit;
+    if (headers.has('ratelimit-remaining') && Number.isFinite(remaining)) this.remaining = remaining;
+    if (headers.has('ratelimit-reset') && Number.isFinite(reset)) this.resetAt = reset * 1000;
+    if (status === 429) {
+      this.remaining = 0;
+      this.throttled += 1;
+      this.lastThrottledAt = nowIso();
+    }
+    this.updatedAt = nowIso();
+  }
+
+  waitMs(now = Date.now()) {
+    if (this.remaining === null || this.remaining >= 1) return 0;
+    if (!this.resetAt || now >= this.resetAt) return 0;
+    return Math.min(this.resetAt - now, isFiniteNumber(TWITCH_API_MAX_RATE_LIMIT_WAIT_MS, 60000));
+  }
+
+  async acquire(context = {}) {
+    let delay = this.waitMs();
+    if (delay > 0) {
+      this.queued += 1;
+      logger.warn('helix rate limit reached, queueing request', { ...context, wait_ms: delay });
+      try {
+        while (delay > 0) {
+          await wait(delay);
+          if (this.resetAt && Date.now() >= this.resetAt) {
+            this.remaining = this.limit;
+          }
+          delay = this.waitMs();
+        }
+      } finally {
+        this.queued -= 1;
+      }
+    }
+    if (this.remaining !== null) {
+      this.remaining -= 1;
+    }
+  }
+
+  status() {
+    return {
+      limit: this.limit,
+      remaining: this.remaining,
+      reset_at: this.resetAt ? new Date(this.resetAt).toISOString() : null,
+      updated_at: this.updatedAt,
+      queued: this.queued,
+      throttled: this.throttled,
+      last_throttled_at: this.lastThrottledAt
+    };
+  }
+}
+
+const helixRateLimiters = new Map();
+
+function helixRateLimiterFor(clientId, tokenSeed) {
+  const key = `${clientId}|${tokenSeed}`;
+  if (!helixRateLimiters.has(key)) {
+    helixRateLimiters.set(key, new HelixRateLimiter());
+  }
+  return helixRateLimiters.get(key);
+}
+
+function isRetryableHelixError(method, error) {
+  if (error?.status === 429) return true;
+  if (method !== 'GET') return false;
+  return !error?.status || error.status >= 500;
+}
+
+class TwitchApiClient {
+  constructor({
+    clientId = TWITCH_CLIENT_ID,
+    oauthToken = TWITCH_OAUTH_TOKEN,
+    clientSecret = TWITCH_CLIENT_SECRET,
+    refreshToken = TWITCH_REFRESH_TOKEN,
+    broadcasterId = TWITCH_BROADCASTER_ID,
+    broadcasterLogin = TWITCH_BROADCASTER_LOGIN,
+    channelName = '',
+    tokenStore = twitchTokenStore
+  } = {}) {
+    this.clientId = clientId;
+    this.oauthToken = oauthToken;
+    this.clientSecret = clientSecret;
+    this.refreshToken = refreshToken;
+    [oauthToken, clientSecret, refreshToken].forEach(registerLogSecret);
+    this.defaultBroadcasterId = broadcasterId;
+    this.defaultBroadcasterLogin = broadcasterLogin;
+    this.channelName = String(channelName || '').toLowerCase();
+    this.tokenStore = tokenStore;
+    this.tokenKey = this.channelName || 'default';
+    this.tokenSeed = crypto.createHash('sha256')
+      .update(`${oauthToken}|${refreshToken}`)
+      .digest('hex');
+    this.tokenExpiresAt = null;
+    this.lastRefreshedAt = null;
+    this.lastRefreshError = null;
+    this.refreshing = null;
+    this.refreshTimer = null;
+    this.restoreToken();
+    this.apiBase = TWITCH_API_BASE_URL;
+    this.validateCache = null;
+    this.userCache = new Map();
+    this.gameCache = new Map();
+    this.channelCache = new Map();
+    this.rateLimiter = helixRateLimiterFor(clientId, this.tokenSeed);
+  }
+
+  isConfigured() {
+    return Boolean(this.clientId && this.oauthToken);
+  }
+
+  canRefresh() {
+    return Boolean(this.clientId && this.clientSecret && this.refreshToken);
+  }
+
+  restoreToken() {
+    if (!this.tokenStore || !this.canRefresh()) return;
+    const record = this.tokenStore.get(this.tokenKey);
+    if (!record?.access_token || record.seed !== this.tokenSeed) return;
+    this.oauthToken = record.access_token;
+    this.refreshToken = record.refresh_token || this.refreshToken;
+    registerLogSecret(this.oauthToken);
+    registerLogSecret(this.refreshToken);
+    this.tokenExpiresAt = Number(record.expires_at) || null;
+    this.lastRefreshedAt = record.refreshed_at || null;
+    this.scheduleRefresh();
+  }
+
+  tokenStatus() {
+    return {
+      expires_at: this.tokenExpiresAt ? new Date(this.tokenExpiresAt).toISOString() : null,
+      refreshable: this.canRefresh(),
+      last_refreshed_at: this.lastRefreshedAt,
+      last_refresh_error: this.lastRefreshError
+    };
+  }
+
+  setTokenExpiry(expiresInSeconds) {
+    if (!Number.isFinite(expiresInSeconds) || expiresInSeconds <= 0) return;
+    this.tokenExpiresAt = Date.now() + expiresInSeconds * 1000;
+    this.scheduleRefresh();
+  }
+
+  scheduleRefresh() {
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = null;
+    if (!this.canRefresh() || !this.tokenExpiresAt) return;
+    const delay = Math.max(this.tokenExpiresAt - Date.now() - isFiniteNumber(TWITCH_TOKEN_REFRESH_MARGIN_MS, 300000), 0);
+    this.refreshTimer = setTimeout(() => {
+      this.refreshAccessToken().catch(() => {});
+    }, Math.min(delay, 2_147_000_000));
+    this.refreshTimer.unref?.();
+  }
+
+  async ensureFreshToken() {
+    if (!this.canRefresh() || !this.tokenExpiresAt) return;
+    if (Date.now() < this.tokenExpiresAt - isFiniteNumber(TWITCH_TOKEN_REFRESH_MARGIN_MS, 300000)) return;
+    await this.refreshAccessToken();
+  }
+
+  async refreshAccessToken() {
+    if (!this.canRefresh()) {
+      throw new Error('twitch token refresh is not configured');
+    }
+    if (this.refreshing) {
+      return this.refreshing;
+    }
+
+    this.refreshing = (async () => {
+      const controller = new AbortController();
+      const timer = setTimeout(() => {
+        controller.abort('twitch-refresh-timeout');
+      }, TWITCH_API_TIMEOUT_MS);
+      try {
+        const response = await fetch(`${TWITCH_AUTH_BASE_URL}/token`, {
+          method: 'POST',
+          headers: { 'content-type': 'application/x-www-form-urlencoded' },
+          body: new URLSearchParams({
+            grant_type: 'refresh_token',
+            refresh_token: this.refreshToken,
+            client_id: this.clientId,
+            client_secret: this.clientSecret
+          }),
+          signal: controller.signal
+        });
+        const text = await response.text();
+        let parsed = {};
+        try {
+          parsed = text ? JSON.parse(text) : {};
+        } catch {
+          parsed = {};
+        }
+        if (!response.ok || !parsed.access_token) {
+          const error = new Error(`twitch token refresh failed: ${parsed?.message || response.statusText || 'no access token'}`);
+          error.status = response.status;
+          throw error;
+        }
+
+        this.oauthToken = parsed.access_token;
+        this.refreshToken = parsed.refresh_token || this.refreshToken;
+        registerLogSecret(this.oauthToken);
+        registerLogSecret(this.refreshToken);
+        this.validateCache = null;
+        this.tokenExpiresAt = null;
+        this.lastRefreshedAt = nowIso();
+        this.lastRefreshError = null;
+        this.setTokenExpiry(Number(parsed.expires_in));
+        this.tokenStore?.set(this.tokenKey, {
+          seed: this.tokenSeed,
+          access_token: this.oauthToken,
+          refresh_token: this.refreshToken,
+          expires_at: this.tokenExpiresAt,
+          scopes: parsed.scope || [],
+          refreshed_at: this.lastRefreshedAt
+        });
+        return this.tokenStatus();
+      } catch (error) {
+        this.lastRefreshError = String(error?.message || error);
+        throw error;
+      } finally {
+        clearTimeout(timer);
+        this.refreshing = null;
+      }
+    })();
+
+    return this.refreshing;
+  }
+
+  buildAuthHeaders() {
+    return {
+      'client-id': this.clientId,
+      authorization: `Bearer ${this.oauthToken}`
+    };
+  }
+
+  async request(method, path, options = {}) {
+    if (!this.isConfigured()) {
+      throw new Error('missing twitch credentials');
+    }
+
+    await this.ensureFreshToken();
+    // A 429 was not processed by Twitch, so any method may be sent again once the
+    // bucket resets; 5xx and network errors are only retried for GETs.
+    for (let attempt = 0; ; attempt += 1) {
+      try {
+        return await this.sendAuthenticated(method, path, options);
+      } catch (error) {
+        if (attempt >= TWITCH_API_RETRIES || !isRetryableHelixError(method, error)) {
+          throw error;
+        }
+        if (error.status !== 429 || this.rateLimiter.waitMs() === 0) {
+          await wait(500 * Math.pow(2, attempt));
+        }
+      }
+    }
+  }
+
+  async sendAuthenticated(method, path, options) {
+    try {
+      return await this.send(method, path, options);
+    } catch (error) {
+      if (error?.status !== 401 || !this.canRefresh()) {
+        throw error;
+      }
+      await this.refreshAccessToken();
+      return this.send(method, path, options);
+    }
+  }
+
+  async send(method, path, {
+    query = {},
+    body = null,
+    baseUrl = this.apiBase
+  } = {}) {
+    const endpoint = new URL(`${baseUrl.replace(/\/$/, '')}/${String(path || '').replace(/^\//, '')}`);
+    for (const [key, value] of Object.entries(query)) {
+      if (value === undefined || value === null || String(value).trim().length === 0) continue;
+      endpoint.searchParams.set(key, String(value));
+    }
+
+    const endpointLabel = `/${String(path || '').replace(/^\//, '')}`;
+    await this.rateLimiter.acquire({ channel: this.channelName || undefined, method, endpoint: endpointLabel });
+    const headers = {
+      'content-type': body ? 'application/json' : 'application/json',
+      ...this.buildAuthHeaders()
+    };
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => {
+      controller.abort('twitch-api-timeout');
+    }, TWITCH_API_TIMEOUT_MS);
+    const observe = metrics.helixRequests.startTimer({ endpoint: endpointLabel });
+    const startedAt = Date.now();
+    let status = 'error';
+
+    try {
+      const response = await fetch(endpoint, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined,
+        signal: controller.signal
+      });
+      status = response.status;
+      this.rateLimiter.update(response.headers, response.status);
+      const responseText = await response.text();
+      let payload = null;
+      try {
+        payload = responseText ? JSON.parse(responseText) : null;
+      } catch {
+        payload = responseText ? { message: responseText } : null;
+      }
+
+      if (!response.ok) {
+        const reason = payload?.message || payload?.error || response.statusText || 'twitch api error';
+        const error = new Error(`${reason}`);
+        error.status = response.status;
+        error.payload = payload;
+        throw error;
+      }
+
+      return payload || {};
+    } finally {
+      clearTimeout(timeout);
+      observe({ status });
+      logger.log(typeof status === 'number' && status < 400 ? 'info' : 'warn', 'helix request', {
+        method,
+        endpoint: endpointLabel,
+        status,
+        duration_ms: Date.now() - startedAt
+      });
+    }
+  }
+
+  async fetchValidation() {
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+      controller.abort('twitch-validate-timeout');
+    }, TWITCH_API_TIMEOUT_MS);
+    try {
+      const authResponse = await fetch(`${TWITCH_AUTH_BASE_URL}/validate`, {
+        method: 'GET',
+        headers: {
+          authorization: `Bearer ${this.oauthToken}`
+        },
+        signal: controller.signal
+      });
+      const text = await authResponse.text();
+      let parsed = {};
+      try {
+        parsed = text ? JSON.parse(text) : {};
+      } catch {
+        parsed = {};
+      }
+      if (!authResponse.ok) {
+        const reason = parsed?.message || authResponse.statusText || 'invalid twitch token';
+        const error = new Error(reason);
+        error.status = authResponse.status;
+        error.payload = parsed;
+        throw error;
+      }
+      return parsed;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async validateIdentity() {
+    if (!this.isConfigured()) {
+      return null;
+    }
+
+    const now = Date.now();
+    if (this.validateCache && this.validateCache.expires_at > now) {
+      return this.validateCache;
+    }
+
+    await this.ensureFreshToken();
+    const response = await withRetry(async () => {
+      try {
+        return await this.fetchValidation();
+      } catch (error) {
+        if (error?.status !== 401 || !this.canRefresh()) {
+          throw error;
+        }
+        await this.refreshAccessToken();
+        return this.fetchValidation();
+      }
+    }, { retries: TWITCH_API_RETRIES, delayMs: 500, label: 'twitch token validate' });
+
+    this.setTokenExpiry(Number(response.expires_in));
+    this.validateCache = {
+      user_id: response.user_id,
+      login: response.login,
+      user_name: response.user_name,
+      scopes: response.scopes || [],
+      expires_at: Date.now() + ((response.expires_in || 0) * 1000)
+    };
+
+    return this.validateCache;
+  }
+
+  async resolveBroadcasterId(channel) {
+    const normalized = String(channel || '').trim().toLowerCase();
+    const defaultLogin = String(this.defaultBroadcasterLogin || '').trim().toLowerCase();
+    const isDefaultChannel = !normalized || normalized === this.channelName || normalized === defaultLogin;
+    if (isDefaultChannel && this.defaultBroadcasterId && /^[0-9]+$/.test(this.defaultBroadcasterId)) {
+      return this.defaultBroadcasterId;
+    }
+    const login = isDefaultChannel && defaultLogin ? defaultLogin : normalized;
+    if (login && this.channelCache.has(login)) {
+      return this.channelCache.get(login);
+    }
+    if (login) {
+      const data = await this.request('GET', '/users', { query: { login } });
+      const found = Array.isArray(data?.data) ? data.data[0] : null;
+      if (!found?.id) {
+        throw new Error(`unable to resolve twitch broadcaster for channel ${login}`);
+      }
+      this.channelCache.set(login, found.id);
+      return found.id;
+    }
+
+    const identity = await this.validateIdentity();
+    if (!identity?.user_id) {
+      throw new Error('missing broadcaster id in request and no service default configured');
+    }
+    return identity.user_id;
+  }
+
+  async resolveGameId(gameName, broadcasterId) {
+    const normalized = String(gameName || '').trim();
+    if (!normalized) return null;
+    const cached = this.gameCache.get(normalized.toLowerCase());
+    if (cached) return cached;
+
+    const data = await this.request('GET', '/games', { query: { name: normalized } });
+    const game = Array.isArray(data?.data) ? data.data[0] : null;
+    if (!game?.id) {
+      throw new Error(`unable to resolve game "${normalized}"`);
+    }
+    const gameId = game.id;
+    this.gameCache.set(normalized.toLowerCase(), gameId);
+    return gameId;
+  }
+
+  async setChannelMetadata(args = {}) {
+    const { channel, title, game, game_id } = args;
+    const broadcasterId = await this.resolveBroadcasterId(channel);
+
+    const payload = {};
+    if (title) payload.title = title;
+    if (game_id || game) {
+      const resolvedGameId = game_id || await this.resolveGameId(game);
+      if (resolvedGameId) {
+        payload.game_id = resolvedGameId;
+      }
+    }
+
+    if (Object.keys(payload).length === 0) {
+      return { status: 'skipped', reason: 'no metadata changes requested' };
+    }
+
+    const response = await this.request('PATCH', '/channels', {
+      query: { broadcaster_id: broadcasterId },
+      body: payload
+    });
+
+    return {
+      status: 'updated',
+      broadcaster_id: broadcasterId,
+      payload,
+      response
+    };
+  }
+
+  async setTitle({ channel, title }) {
+    if (!title) {
+      return { status: 'skipped', reason: 'no title provided' };
+    }
+    return this.setChannelMetadata({ channel, title });
+  }
+
+  async setGame({ channel, game, game_id }) {
+    if (!game && !game_id) {
+      return { status: 'skipped', reason: 'no game provided' };
+    }
+    const payload = { channel, game, game_id };
+    return this.setChannelMetadata(payload);
+  }
+
+  async sendChatMessage({ channel, message, reply_parent_message_id }) {
+    const broadcasterId = await this.resolveBroadcasterId(channel);
+    const identity = await this.validateIdentity();
+    const senderId = identity?.user_id;
+    if (!senderId) {
+      throw new Error('could not resolve chat sender id from token');
+    }
+
+    const body = {
+      broadcaster_id: broadcasterId,
+      sender_id: senderId,
+      message
+    };
+    if (reply_parent_message_id) {
+      body.reply_parent_message_id = reply_parent_message_id;
+    }
+
+    const response = await this.request('POST', '/chat/messages', { body });
+    return {
+      status: 'posted',
+      broadcaster_id: broadcasterId,
+      sender_id: senderId,
+      payload: response
+    };
+  }
+
+  async createClip({ channel }) {
+    const broadcasterId = await this.resolveBroadcasterId(channel);
+    const response = await this.request('POST', '/clips', {
+      query: { broadcaster_id: broadcasterId }
+    });
+
+    const clip = Array.isArray(response?.data) ? response.data[0] : null;
+    if (!clip?.id) {
+      return {
+        status: 'created',
+        broadcaster_id: broadcasterId,
+        payload: response
+      };
+    }
+
+    return {
+      status: 'created',
+      clip_id: clip.id,
+      edit_url: clip.edit_url,
+      broadcaster_id: broadcasterId
+    };
+  }
+}
+
+class TwitchEventSubClient extends EventEmitter {
+  constructor(twitch, { channel = '', url = TWITCH_EVENTSUB_WS_URL } = {}) {
+    super();
+    this.setMaxListeners(0);
+    this.twitch = twitch;
+    this.channel = channel;
+    this.url = url;
+    this.socket = null;
+    this.sessionId = null;
+    this.state = 'idle';
+    this.started = false;
+    this.starting = null;
+    this.wanted = new Map();
+    this.subscriptions = new Map();
+    this.recentMessageIds = [];
+    this.keepaliveMs = 0;
+    this.keepaliveTimer = null;
+    this.reconnectTimer = null;
+    this.reconnectAttempts = 0;
+    this.live = null;
+    this.liveChangedAt = null;
+    this.liveEventAt = 0;
+    this.lastError = null;
+  }
+
+  isAvailable() {
+    return Boolean(WebSocketClient && this.twitch.isConfigured());
+  }
+
+  status() {
+    return {
+      state: this.state,
+      session_id: this.sessionId,
+      subscriptions: [...this.subscriptions.keys()],
+      live: this.live,
+      live_changed_at: this.liveChangedAt,
+      last_error: this.lastError
+    };
+  }
+
+  async start() {
+    if (!this.isAvailable()) {
+      throw new Error('twitch eventsub requires the ws dependency and twitch credentials');
+    }
+    this.started = true;
+    if (this.state === 'connected') return;
+    if (!this.starting) {
+      this.starting = this.connect(this.url)
+        .catch((error) => {
+          this.lastError = String(error?.message || error);
+          this.state = 'disconnected';
+          this.scheduleReconnect();
+          throw error;
+        })
+        .finally(() => {
+          this.starting = null;
+        });
+    }
+    await withTimeout('twitch eventsub connect', () => this.starting, TWITCH_API_TIMEOUT_MS);
+  }
+
+  stop() {
+    this.started = false;
+    clearTimeout(this.reconnectTimer);
+    clearTimeout(this.keepaliveTimer);
+    this.socket?.close();
+    this.socket = null;
+    this.state = 'idle';
+  }
+
+  connect(url, { reconnecting = false } = {}) {
+    return new Promise((resolve, reject) => {
+      const socket = new WebSocketClient(url);
+      let welcomed = false;
+      this.state = reconnecting ? 'reconnecting' : 'connecting';
+
+      socket.on('message', (data) => {
+        let message;
+        try {
+          message = JSON.parse(String(data));
+        } catch {
+          return;
+        }
+        if (message?.metadata?.message_type === 'session_welcome' && !welcomed) {
+          welcomed = true;
+          const previous = this.socket;
+          this.socket = socket;
+          this.onWelcome(message.payload?.session, { reconnecting })
+            .then(() => {
+              if (previous && previous !== socket) previous.close();
+              resolve();
+            })
+            .catch(reject);
+          return;
+        }
+        if (this.socket === socket) {
+          this.onMessage(message);
+        }
+      });
+
+      socket.on('error', (error) => {
+        this.lastError = String(error?.message || error);
+        if (!welcomed) reject(error);
+      });
+
+      socket.on('close', () => {
+        if (!welcomed) {
+          reject(new Error('twitch eventsub closed before welcome'));
+        }
+        if (this.socket === socket) {
+          this.socket = null;
+          this.sessionId = null;
+          this.subscriptions.clear();
+          this.state = 'disconnected';
+          clearTimeout(this.keepaliveTimer);
+          this.scheduleReconnect();
+        }
+      });
+    });
+  }
+
+  async onWelcome(session = {}, { reconnecting }) {
+    this.sessionId = session.id || null;
+    this.keepaliveMs = (Number(session.keepalive_timeout_seconds) || 10) * 1000;
+    this.state = 'connected';
+    this.reconnectAttempts = 0;
+    this.lastError = null;
+    this.touchKeepalive();
+    if (!reconnecting) {
+      this.subscriptions.clear();
+      for (const [key, subscription] of this.wanted) {
+        await this.createSubscription(key, subscription);
+      }
+    }
+  }
+
+  touchKeepalive() {
+    clearTimeout(this.keepaliveTimer);
+    if (!this.keepaliveMs) return;
+    this.keepaliveTimer = setTimeout(() => {
+      this.lastError = 'keepalive timeout';
+      this.socket?.terminate?.();
+      this.socket?.close();
+    }, this.keepaliveMs + 5000);
+    this.keepaliveTimer.unref?.();
+  }
+
+  scheduleReconnect() {
+    if (!this.started || this.reconnectTimer) return;
+    const delay = Math.min(1000 * Math.pow(2, this.reconnectAttempts), 60_000);
+    this.reconnectAttempts += 1;
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect(this.url).catch((error) => {
+        this.lastError = String(error?.message || error);
+        this.scheduleReconnect();
+      });
+    }, delay);
+    this.reconnectTimer.unref?.();
+  }
+
+  onMessage(message) {
+    const metadata = message?.metadata || {};
+    this.touchKeepalive();
+    if (metadata.message_id) {
+      if (this.recentMessageIds.includes(metadata.message_id)) return;
+      this.recentMessageIds.push(metadata.message_id);
+      if (this.recentMessageIds.length > 200) this.recentMessageIds.shift();
+    }
+
+    switch (metadata.message_type) {
+      case 'session_reconnect': {
+        const reconnectUrl = message.payload?.session?.reconnect_url;
+        if (reconnectUrl) {
+          this.connect(reconnectUrl, { reconnecting: true }).catch((error) => {
+            this.lastError = String(error?.message || error);
+          });
+        }
+        break;
+      }
+      case 'notification': {
+        const type = metadata.subscription_type || message.payload?.subscription?.type;
+        const event = message.payload?.event || {};
+        if (type === 'stream.online' || type === 'stream.offline') {
+          this.live = type === 'stream.online';
+          this.liveChangedAt = nowIso();
+          this.liveEventAt = performance.now();
+        }
+        this.emit('notification', { type, event, metadata });
+        this.emit(type, event, metadata);
+        break;
+      }
+      case 'revocation': {
+        const type = message.payload?.subscription?.type;
+        this.subscriptions.delete(type);
+        this.lastError = `subscription ${type} revoked (${message.payload?.subscription?.status})`;
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  async createSubscription(key, { type, version, condition }) {
+    const response = await this.twitch.request('POST', '/eventsub/subscriptions', {
+      baseUrl: TWITCH_EVENTSUB_API_BASE_URL,
+      body: {
+        type,
+        version,
+        condition,
+        transport: { method: 'websocket', session_id: this.sessionId }
+      }
+    });
+    const created = Array.isArray(response?.data) ? response.data[0] : null;
+    this.subscriptions.set(key, created?.id || true);
+    return created;
+  }
+
+  async subscribe(...subscriptions) {
+    for (const subscription of subscriptions) {
+      this.wanted.set(subscription.type, subscription);
+    }
+    await this.start();
+    for (const subscription of subscriptions) {
+      if (!this.subscriptions.has(subscription.type)) {
+        await this.createSubscription(subscription.type, subscription);
+      }
+    }
+  }
+
+  async watchStream() {
+    const broadcasterId = await this.twitch.resolveBroadcasterId(this.channel);
+    const condition = { broadcaster_user_id: broadcasterId };
+    await this.subscribe(
+      { type: 'stream.online', version: '1', condition },
+      { type: 'stream.offline', version: '1', condition }
+    );
+    if (this.live === null) {
+      await this.refreshLiveState(broadcasterId).catch(() => null);
+    }
+    return broadcasterId;
+  }
+
+  async watchChat() {
+    const broadcasterId = await this.twitch.resolveBroadcasterId(this.channel);
+    const identity = await this.twitch.validateIdentity();
+    if (!identity?.user_id) {
+      throw new Error('could not resolve chat reader id from token');
+    }
+    await this.subscribe({
+      type: 'channel.chat.message',
+      version: '1',
+      condition: { broadcaster_user_id: broadcasterId, user_id: identity.user_id }
+    });
+    return broadcasterId;
+  }
+
+  async refreshLiveState(broadcasterId) {
+    const id = broadcasterId || await this.twitch.resolveBroadcasterId(this.channel);
+    const response = await this.twitch.request('GET', '/streams', { query: { user_id: id } });
+    const live = Array.isArray(response?.data) && response.data.some((stream) => stream.type === 'live');
+    if (this.live !== live) {
+      this.live = live;
+      this.liveChangedAt = nowIso();
+    }
+    return live;
+  }
+
+  // Only an event received after `since` (a performance.now() reading) counts
+  // as confirmation. A cached state that already matches (say, from the startup
+  // Helix poll) is re-checked against Helix instead.
+  async waitForLive(online, timeoutMs = TWITCH_LIVE_CONFIRM_TIMEOUT_MS, { signal, since = performance.now() } = {}) {
+    const startedAt = Date.now();
+    const eventName = online ? 'stream.online' : 'stream.offline';
+    const confirmedByEvent = () => ({
+      confirmed: true,
+      via: 'eventsub',
+      waited_ms: Date.now() - startedAt,
+      live_changed_at: this.liveChangedAt
+    });
+    if (this.live === online && this.liveEventAt > since) {
+      return confirmedByEvent();
+    }
+
+    let onEvent;
+    const event = new Promise((resolve) => {
+      onEvent = resolve;
+      this.once(eventName, onEvent);
+    });
+    try {
+      if (this.live === online && await this.refreshLiveState().catch(() => null) === online) {
+        return { confirmed: true, via: 'helix', waited_ms: Date.now() - startedAt };
+      }
+      await withTimeout(`twitch ${eventName} confirmation`, () => event, timeoutMs, { signal });
+      return confirmedByEvent();
+    } catch (error) {
+      throwIfCancelled(signal);
+      const live = await this.refreshLiveState().catch(() => this.live);
+      return {
+        confirmed: live === online,
+        via: 'helix',
+        waited_ms: Date.now() - startedAt,
+        timeout: live !== online ? String(error?.message || error) : undefined
+      };
+    } finally {
+      this.off(eventName, onEvent);
+    }
+  }
+}
+
+class ChatBuffer extends EventEmitter {
+  constructor(channel, capacity = TWITCH_CHAT_BUFFER_SIZE) {
+    super();
+    this.setMaxListeners(0);
+    this.channel = channel;
+    this.capacity = isFiniteNumber(capacity, 500);
+    this.messages = [];
+    this.received = 0;
+  }
+
+  static fromEvent(channel, event = {}, metadata = {}) {
+    return {
+      id: event.message_id,
+      channel,
+      author: {
+        id: event.chatter_user_id || null,
+        login: event.chatter_user_login || null,
+        name: event.chatter_user_name || null
+      },
+      badges: (Array.isArray(event.badges) ? event.badges : []).map((badge) => ({
+        set_id: badge.set_id,
+        id: badge.id
+      })),
+      text: event.message?.text || '',
+      message_type: event.message_type || 'text',
+      reply_parent_message_id: event.reply?.parent_message_id || null,
+      timestamp: metadata.message_timestamp || nowIso()
+    };
+  }
+
+  push(message) {
+    if (!message?.id || this.messages.some((entry) => entry.id === message.id)) {
+      return null;
+    }
+    this.messages.push(message);
+    this.received += 1;
+    if (this.messages.length > this.capacity) {
+      this.messages.splice(0, this.messages.length - this.capacity);
+    }
+    this.emit('message', message);
+    return message;
+  }
+
+  since(since, limit = CHAT_READ_DEFAULT_LIMIT) {
+    let start = 0;
+    let gap = false;
+    if (since) {
+      const index = this.messages.findIndex((message) => message.id === since);
+      const sinceMs = /^\d{4}-\d{2}-\d{2}T/.test(since) ? Date.parse(since) : NaN;
+      if (index >= 0) {
+        start = index + 1;
+      } else if (Number.isFinite(sinceMs)) {
+        start = this.messages.findIndex((message) => Date.parse(message.timestamp) > sinceMs);
+        if (start < 0) start = this.messages.length;
+      } else {
+        gap = this.received > 0;
+      }
+    }
+    const messages = this.messages.slice(start, start + limit);
+    return {
+      messages,
+      next_since: messages.length > 0 ? messages[messages.length - 1].id : (since || null),
+      has_more: start + messages.length < this.messages.length,
+      gap
+    };
+  }
+
+  status() {
+    return {
+      buffered: this.messages.length,
+      capacity: this.capacity,
+      received: this.received,
+      last_message_at: this.messages[this.messages.length - 1]?.timestamp || null
+    };
+  }
+}
+
+class OBSStreamController extends EventEmitter {
+  constructor({
+    url = OBS_WS_URL,
+    password = OBS_WS_PASSWORD,
+    defaultScene = OBS_STREAM_SCENE,
+    sceneAllowlist = OBS_SCENE_ALLOWLIST,
+    sourceAllowlist = OBS_SOURCE_ALLOWLIST,
+    qualityPresets = QUALITY_PRESETS
+  } = {}) {
+    super();
+    this.setMaxListeners(0);
+    this.wsUrl = url;
+    this.password = password;
+    registerLogSecret(password);
+    this.defaultScene = defaultScene;
+    this.sceneAllowlist = sceneAllowlist;
+    this.sourceAllowlist = sourceAllowlist;
+    this.scenePatterns = sceneAllowlist.length > 0 ? sceneAllowlist.map(globToRegExp) : null;
+    this.sourcePatterns = sourceAllowlist.map(globToRegExp);
+    this.qualityPresets = qualityPresets;
+    this.obs = OBSWebSocket ? new OBSWebSocket() : null;
+    this.connected = false;
+    this.connecting = null;
+    this.state = 'idle';
+    this.stateChangedAt = null;
+    this.connectedAt = null;
+    this.supervised = false;
+    this.reconnectTimer = null;
+    this.reconnectAttempts = 0;
+    this.nextReconnectAt = null;
+    this.lastError = null;
+    this.transitions = [];
+    this.lastRecordPath = null;
+    this.setupEvents();
+  }
+
+  isConfigured() {
+    return Boolean(this.obs && this.wsUrl);
+  }
+
+  setupEvents() {
+    if (!this.obs || this.__wired) return;
+    // Failed connect attempts also close the socket; connect() handles those,
+    // so only a drop from an identified session schedules a reconnect here.
+    this.obs.on('ConnectionClosed', (error) => {
+      const wasConnected = this.connected;
+      this.connected = false;
+      if (!wasConnected) return;
+      this.lastError = String(error?.message || 'connection closed');
+      this.setState('disconnected', this.lastError);
+      this.scheduleReconnect();
+    });
+    this.obs.on('ConnectionError', (error) => {
+      this.lastError = String(error?.message || error);
+    });
+    this.obs.on('Identified', () => {
+      this.connected = true;
+    });
+    this.obs.on('StreamStateChanged', (event) => {
+      this.emit('stream', {
+        active: Boolean(event?.outputActive),
+        output_state: event?.outputState || null
+      });
+    });
+    this.obs.on('RecordStateChanged', (event) => {
+      if (event?.outputState === 'OBS_WEBSOCKET_OUTPUT_STARTING') {
+        this.lastRecordPath = null;
+      } else if (event?.outputPath || event?.outputState === 'OBS_WEBSOCKET_OUTPUT_STARTED') {
+        this.lastRecordPath = event.outputPath || null;
+      }
+    });
+    this.__wired = true;
+  }
+
+  async connect() {
+    if (!this.isConfigured()) {
+      throw new Error('OBS websocket dependency is not installed or OBS URL is missing');
+    }
+    if (this.connected) {
+      return;
+    }
+    if (this.connecting) {
+      return this.connecting;
+    }
+
+    const reconnecting = this.connectedAt !== null;
+    this.setState(reconnecting ? 'reconnecting' : 'connecting');
+    this.connecting = (async () => {
+      try {
+        await withTimeout('obs connect', async () => {
+          await withRetry(
+            async () => {
+              await this.obs.connect(this.wsUrl, this.password || undefined, {
+                eventSubscriptions: OBS_EVENT_SUBSCRIPTIONS
+              });
+            },
+            {
+              retries: OBS_OPERATION_RETRIES,
+              delayMs: 500,
+              label: 'obs websocket connect'
+            }
+          );
+        }, OBS_CONNECT_TIMEOUT_MS);
+        this.connected = true;
+        this.connectedAt = nowIso();
+        this.reconnectAttempts = 0;
+        this.lastError = null;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.nextReconnectAt = null;
+        this.setState('connected');
+        if (reconnecting) {
+          this.emit('reconnected');
+        }
+      } catch (error) {
+        this.lastError = String(error?.message || error);
+        this.setState('disconnected', this.lastError);
+        this.scheduleReconnect();
+        throw error;
+      } finally {
+        this.connecting = null;
+      }
+    })();
+
+    return this.connecting;
+  }
+
+  supervise() {
+    if (!this.isConfigured() || this.supervised) return;
+    this.supervised = true;
+    this.connect().catch(() => {});
+  }
+
+  scheduleReconnect() {
+    if (!this.supervised || this.reconnectTimer) return;
+    const ceiling = Math.min(OBS_RECONNECT_MIN_MS * Math.pow(2, this.reconnectAttempts), OBS_RECONNECT_MAX_MS);
+    const delay = Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+    this.reconnectAttempts += 1;
+    this.nextReconnectAt = new Date(Date.now() + delay).toISOString();
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.nextReconnectAt = null;
+      this.connect().catch(() => {});
+    }, delay);
+    this.reconnectTimer.unref?.();
+  }
+
+  setState(state, reason = null) {
+    if (state === this.state) return;
+    const transition = { from: this.state, to: state, at: nowIso(), reason };
+    this.state = state;
+    this.stateChangedAt = transition.at;
+    this.transitions.push(transition);
+    if (this.transitions.length > 20) this.transitions.shift();
+    this.emit('state', transition);
+  }
+
+  connectionStatus() {
+    return {
+      state: this.state,
+      supervised: this.supervised,
+      connected_at: this.connectedAt,
+      state_changed_at: this.stateChangedAt,
+      reconnect_attempts: this.reconnectAttempts,
+      next_reconnect_at: this.nextReconnectAt,
+      last_error: this.lastError,
+      transitions: [...this.transitions]
+    };
+  }
+
+  async call(requestType, requestData = {}) {
+    await this.connect();
+    const observe = metrics.obsRequests.startTimer({ request: requestType });
+    const startedAt = Date.now();
+    try {
+      const response = await this.obs.call(requestType, requestData);
+      observe({ outcome: 'ok' });
+      logger.debug('obs request', { request: requestType, outcome: 'ok', duration_ms: Date.now() - startedAt });
+      return response;
+    } catch (error) {
+      observe({ outcome: 'error' });
+      logger.warn('obs request', {
+        request: requestType,
+        outcome: 'error',
+        duration_ms: Date.now() - startedAt,
+        error
+      });
+      throw error;
+    }
+  }
+
+  normalizeStreamState(response) {
+    const active = Boolean(
+      response?.outputActive ??
+      response?.streaming ??
+      response?.outputState === 'OBS_WEBSOCKET_OUTPUT_STARTED'
+    );
+    return {
+      active,
+      outputState: response?.outputState || (active ? 'started' : 'stopped'),
+      outputDuration: response?.outputDuration,
+      outputTimecode: response?.outputTimecode,
+      outputBytes: Number(response?.outputBytes) || 0,
+      outputSkippedFrames: Number(response?.outputSkippedFrames) || 0,
+      outputTotalFrames: Number(response?.outputTotalFrames) || 0,
+      outputCongestion: Number(response?.outputCongestion) || 0,
+      outputReconnecting: Boolean(response?.outputReconnecting),
+      raw: response
+    };
+  }
+
+  async getStreamState() {
+    try {
+      const status = await this.call('GetStreamStatus');
+      return this.normalizeStreamState(status);
+    } catch {
+      const status = await this.call('GetStreamingStatus');
+      return this.normalizeStreamState(status);
+    }
+  }
+
+  async pollUntil(readState, isDone, actionLabel, { signal } = {}) {
+    const startedAt = Date.now();
+    let lastState = null;
+
+    while (Date.now() - startedAt < OBS_OPERATION_TIMEOUT_MS) {
+      throwIfCancelled(signal);
+      lastState = await readState();
+      if (isDone(lastState)) {
+        return lastState;
+      }
+      try {
+        await wait(OBS_STREAM_POLL_MS, undefined, { signal });
+      } catch {
+        throwIfCancelled(signal);
+      }
+    }
+
+    const error = new Error(`timed out while waiting for OBS to ${actionLabel}`);
+    error.lastState = lastState;
+    throw error;
+  }
+
+  async ensureStreamState(targetActive, actionLabel, { signal } = {}) {
+    try {
+      return await this.pollUntil(
+        () => this.getStreamState(),
+        (state) => state.active === targetActive,
+        actionLabel,
+        { signal }
+      );
+    } catch (error) {
+      if (!error || !('lastState' in error)) throw error;
+      const state = error.lastState?.outputState || (targetActive ? 'started' : 'stopped');
+      throw new Error(`${error.message} (state=${state})`);
+    }
+  }
+
+  async getRecordState() {
+    const status = await this.call('GetRecordStatus');
+    return {
+      active: Boolean(status?.outputActive),
+      paused: Boolean(status?.outputPaused),
+      outputTimecode: status?.outputTimecode,
+      outputBytes: status?.outputBytes
+    };
+  }
+
+  async getRecordDirectory() {
+    try {
+      const response = await this.call('GetRecordDirectory');
+      return response?.recordDirectory || null;
+    } catch {
+      return null;
+    }
+  }
+
+  async startRecord(operation = {}) {
+    const { signal } = operation;
+    const before = await this.getRecordState();
+    if (before.active) {
+      return {
+        status: 'already_recording',
+        record: before,
+        output_path: this.lastRecordPath || null
+      };
+    }
+    this.lastRecordPath = null;
+    await withRetry(() => this.call('StartRecord'), {
+      retries: OBS_OPERATION_RETRIES,
+      delayMs: 500,
+      label: 'obs start record',
+      signal
+    });
+    const after = await this.pollUntil(() => this.getRecordState(), (state) => state.active, 'start recording', { signal });
+    return {
+      status: 'recording',
+      record: after,
+      output_path: this.lastRecordPath || null,
+      record_directory: await this.getRecordDirectory()
+    };
+  }
+
+  async stopRecord(operation = {}) {
+    const { signal } = operation;
+    const before = await this.getRecordState();
+    if (!before.active) {
+      return { status: 'already_stopped', record: before, output_path: null };
+    }
+    const response = await withRetry(() => this.call('StopRecord'), {
+      retries: OBS_OPERATION_RETRIES,
+      delayMs: 500,
+      label: 'obs stop record',
+      signal
+    });
+    const after = await this.pollUntil(() => this.getRecordState(), (state) => !state.active, 'stop recording', { signal });
+    return {
+      status: 'stopped',
+      record: after,
+      output_path: response?.outputPath || this.lastRecordPath || null
+    };
+  }
+
+  async pauseRecord({ resume = false } = {}, operation = {}) {
+    const { signal } = operation;
+    const before = await this.getRecordState();
+    if (!before.active) {
+      throw new Error('obs is not recording');
+    }
+    if (before.paused === !resume) {
+      return { status: resume ? 'recording' : 'paused', record: before, output_path: this.lastRecordPath || null };
+    }
+    await this.call(resume ? 'ResumeRecord' : 'PauseRecord');
+    const after = await this.pollUntil(
+      () => this.getRecordState(),
+      (state) => state.paused === !resume,
+      resume ? 'resume recording' : 'pause recording',
+      { signal }
+    );
+    return { status: resume ? 'recording' : 'paused', record: after, output_path: this.lastRecordPath || null };
+  }
+
+  async getLastReplayPath() {
+    try {
+      const response = await this.call('GetLastReplayBufferReplay');
+      return response?.savedReplayPath || null;
+    } catch {
+      return null;
+    }
+  }
+
+  async saveReplayBuffer(operation = {}) {
+    const { signal } = operation;
+    const status = await this.call('GetReplayBufferStatus');
+    if (!status?.outputActive) {
+      throw new Error('obs replay buffer is not running; start it in OBS first');
+    }
+    const previous = await this.getLastReplayPath();
+    await this.call('SaveReplayBuffer');
+    const savedPath = await this.pollUntil(
+      () => this.getLastReplayPath(),
+      (current) => Boolean(current) && current !== previous,
+      'save the replay buffer',
+      { signal }
+    );
+    return { status: 'saved', output_path: savedPath };
+  }
+
+  async listScenes() {
+    const response = await this.call('GetSceneList');
+    return {
+      current_scene: response?.currentProgramSceneName || null,
+      scenes: (Array.isArray(response?.scenes) ? response.scenes : [])
+        .map((scene) => scene.sceneName)
+        .filter(Boolean)
+        .reverse()
+    };
+  }
+
+  async getStreamServiceSettings() {
+    const response = await this.call('GetStreamServiceSettings');
+    const settings = normalizeBody(response?.streamServiceSettings);
+    return {
+      type: response?.streamServiceType || null,
+      service: settings.service || null,
+      server: settings.server || null,
+      has_key: Boolean(settings.key)
+    };
+  }
+
+  isSceneAllowed(sceneName) {
+    return matchesAny(this.scenePatterns, sceneName);
+  }
+
+  isSourceAllowed(sourceName) {
+    return matchesAny(this.sourcePatterns, sourceName);
+  }
+
+  async getInputKind(inputName) {
+    try {
+      const response = await this.call('GetInputSettings', { inputName });
+      return response?.inputKind || null;
+    } catch (error) {
+      if (error?.code === 600) {
+        throw new Error(`obs source not found: ${inputName}`);
+      }
+      throw error;
+    }
+  }
+
+  async setSourceVisibility({ scene, source, visible }) {
+    const sceneName = scene || (await this.listScenes()).current_scene;
+    if (!this.isSceneAllowed(sceneName)) {
+      throw new Error(`OBS scene "${sceneName}" is not in the scene allowlist`);
+    }
+    let sceneItemId;
+    try {
+      ({ sceneItemId } = await this.call('GetSceneItemId', { sceneName, sourceName: source }));
+    } catch (error) {
+      if (error?.code === 600) {
+        throw new Error(`obs source "${source}" is not in scene "${sceneName}"`);
+      }
+      throw error;
+    }
+    await this.call('SetSceneItemEnabled', { sceneName, sceneItemId, sceneItemEnabled: visible });
+    return { status: 'updated', scene: sceneName, source, visible };
+  }
+
+  async setInputSettings(inputName, { kind: expectedKind, label }, inputSettings) {
+    const kind = await this.getInputKind(inputName);
+    if (!kind || !expectedKind.test(kind)) {
+      throw new Error(`obs source "${inputName}" is a ${kind || 'unknown'} input, not a ${label} source`);
+    }
+    await this.call('SetInputSettings', { inputName, inputSettings, overlay: true });
+    return { status: 'updated', source: inputName, input_kind: kind };
+  }
+
+  async setText({ source, text }) {
+    return this.setInputSettings(source, { kind: /^text_/, label: 'text' }, { text });
+  }
+
+  async setBrowserSourceUrl({ source, url }) {
+    return this.setInputSettings(source, { kind: /^browser_source$/, label: 'browser' }, { url });
+  }
+
+  async setScene(sceneName) {
+    if (!sceneName) return;
+    try {
+      await this.call('SetCurrentProgramScene', { sceneName });
+    } catch (error) {
+      if (error?.code === '404' || error?.code === 600 || /No scene/.test(error?.message || '')) {
+        throw new Error(`obs scene not found: ${sceneName}`);
+      }
+      throw error;
+    }
+  }
+
+  async resolveQualityPreset(name) {
+    const preset = this.qualityPresets[name];
+    if (!preset) {
+      throw new Error(`unknown quality preset "${name}"`);
+    }
+    if (preset.profile) {
+      const { profiles = [] } = await this.call('GetProfileList');
+      if (!profiles.includes(preset.profile)) {
+        throw new Error(`obs profile not found for quality "${name}": ${preset.profile}`);
+      }
+    }
+    return preset;
+  }
+
+  async applyQualityPreset(name, preset) {
+    const applied = {};
+    const skipped = [];
+    const undo = [];
+    let outputMode = null;
+    try {
+      if (preset.profile) {
+        const { currentProfileName } = await this.call('GetProfileList');
+        await this.call('SetCurrentProfile', { profileName: preset.profile });
+        undo.push(() => this.call('SetCurrentProfile', { profileName: currentProfileName }));
+        applied.profile = preset.profile;
+      }
+      if (preset.width || preset.fps) {
+        const previous = await this.call('GetVideoSettings');
+        const video = {};
+        if (preset.width) {
+          video.outputWidth = preset.width;
+          video.outputHeight = preset.height;
+        }
+        if (preset.fps) {
+          video.fpsNumerator = preset.fps;
+          video.fpsDenominator = 1;
+        }
+        await this.call('SetVideoSettings', video);
+        undo.push(() => this.call('SetVideoSettings', {
+          outputWidth: previous.outputWidth,
+          outputHeight: previous.outputHeight,
+          fpsNumerator: previous.fpsNumerator,
+          fpsDenominator: previous.fpsDenominator
+        }));
+        if (preset.width) applied.resolution = `${preset.width}x${preset.height}`;
+        if (preset.fps) applied.fps = preset.fps;
+      }
+      const simpleOutput = [['bitrate_kbps', 'VBitrate'], ['encoder_preset', 'Preset']].filter(([key]) => preset[key]);
+      if (simpleOutput.length > 0) {
+        const mode = await this.call('GetProfileParameter', { parameterCategory: 'Output', parameterName: 'Mode' });
+        outputMode = mode?.parameterValue || mode?.defaultParameterValue || 'Simple';
+      }
+      for (const [key, parameterName] of simpleOutput) {
+        if (outputMode !== 'Simple') {
+          skipped.push(key);
+          continue;
+        }
+        const previous = await this.call('GetProfileParameter', { parameterCategory: 'SimpleOutput', parameterName });
+        await this.call('SetProfileParameter', {
+          parameterCategory: 'SimpleOutput',
+          parameterName,
+          parameterValue: String(preset[key])
+        });
+        undo.push(() => this.call('SetProfileParameter', {
+          parameterCategory: 'SimpleOutput',
+          parameterName,
+          parameterValue: previous?.parameterValue ?? null
+        }));
+        applied[key] = preset[key];
+      }
+    } catch (error) {
+      for (const restore of undo.reverse()) {
+        await restore().catch(() => {});
+      }
+      throw error;
+    }
+    return {
+      preset: name,
+      applied,
+      ...(skipped.length > 0 ? { skipped, output_mode: outputMode } : {})
+    };
+  }
+
+  async startStream(args = {}, operation = {}) {
+    const { signal } = operation;
+    await this.setScene(args.obs_scene || this.defaultScene);
+    throwIfCancelled(signal);
+    const before = await this.getStreamState();
+    const preset = args.quality && (before.active ? args.restart : true)
+      ? await this.resolveQualityPreset(args.quality)
+      : null;
+    let restarted = false;
+    if (before.active) {
+      if (!args.quality) {
+        return {
+          status: 'already_running',
+          stream: before
+        };
+      }
+      if (!args.restart) {
+        throw new Error(`stream is already live; set restart: true to restart it with quality "${args.quality}"`);
+      }
+      await this.stopStream(operation);
+      restarted = true;
+    }
+    let quality = null;
+    if (preset) {
+      try {
+        quality = await this.applyQualityPreset(args.quality, preset);
+      } catch (error) {
+        if (!restarted) throw error;
+        quality = { preset: args.quality, applied: {}, error: `${String(error.message || error)}; restarted with the previous settings` };
+      }
+    }
+    throwIfCancelled(signal);
+    await withRetry(
+      async () => {
+        operation.streamStartIssued = true;
+        await this.call('StartStream');
+      },
+      {
+        retries: OBS_OPERATION_RETRIES,
+        delayMs: 500,
+        label: 'obs start',
+        signal
+      }
+    );
+    const after = await this.ensureStreamState(true, 'start', { signal });
+    return {
+      status: 'running',
+      stream: after,
+      quality,
+      restarted
+    };
+  }
+
+  async stopStream(operation = {}) {
+    const { signal } = operation;
+    throwIfCancelled(signal);
+    const before = await this.getStreamState();
+    if (!before.active) {
+      return {
+        status: 'already_stopped',
+        stream: before
+      };
+    }
+
+    await withRetry(
+      async () => {
+        await this.call('StopStream');
+      },
+      {
+        retries: OBS_OPERATION_RETRIES,
+        delayMs: 500,
+        label: 'obs stop',
+        signal
+      }
+    );
+
+    const after = await this.ensureStreamState(false, 'stop', { signal });
+    return {
+      status: 'stopped',
+      stream: after
+    };
+  }
+}
+
+function percent(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 10000) / 100 : 0;
+}
+
+function round(value, digits = 2) {
+  return Number.isFinite(value) ? Math.round(value * 10 ** digits) / 10 ** digits : null;
+}
+
+class StreamHealthMonitor extends EventEmitter {
+  constructor(obs, { channel, intervalMs = OBS_HEALTH_SAMPLE_MS } = {}) {
+    super();
+    this.setMaxListeners(0);
+    this.obs = obs;
+    this.channel = channel;
+    this.intervalMs = isFiniteNumber(intervalMs, 2000);
+    this.samples = [];
+    this.live = null;
+    this.status = 'unknown';
+    this.lastSampledAt = null;
+    this.lastError = null;
+    this.timer = null;
+    this.sampling = null;
+  }
+
+  static thresholds() {
+    return {
+      min_bitrate_kbps: OBS_HEALTH_MIN_BITRATE_KBPS,
+      max_dropped_frames_pct: OBS_HEALTH_MAX_DROPPED_PCT,
+      max_congestion: OBS_HEALTH_MAX_CONGESTION,
+      max_cpu_pct: OBS_HEALTH_MAX_CPU_PCT,
+      max_render_lag_pct: OBS_HEALTH_MAX_RENDER_LAG_PCT
+    };
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      if (!this.obs.connected) return;
+      this.sample().catch(() => {});
+    }, this.intervalMs);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async sample() {
+    if (this.sampling) return this.sampling;
+    this.sampling = this._sample().finally(() => {
+      this.sampling = null;
+    });
+    return this.sampling;
+  }
+
+  async _sample() {
+    let stream;
+    let stats;
+    try {
+      stream = await this.obs.getStreamState();
+      stats = stream.active ? await this.obs.call('GetStats') : null;
+      this.lastError = null;
+    } catch (error) {
+      this.lastError = String(error?.message || error);
+      this.setStatus('unknown');
+      return null;
+    }
+    this.lastSampledAt = nowIso();
+    if (!stream.active) {
+      this.live = false;
+      this.samples = [];
+      this.setStatus('offline');
+      return null;
+    }
+
+    const sample = {
+      at: Date.now(),
+      bytes: stream.outputBytes,
+      skipped: stream.outputSkippedFrames,
+      total: stream.outputTotalFrames,
+      congestion: stream.outputCongestion,
+      reconnecting: stream.outputReconnecting,
+      cpu: Number(stats?.cpuUsage) || 0,
+      renderSkipped: Number(stats?.renderSkippedFrames) || 0,
+      renderTotal: Number(stats?.renderTotalFrames) || 0,
+      frameRenderMs: Number(stats?.averageFrameRenderTime) || 0,
+      fps: Number(stats?.activeFps) || 0
+    };
+    const previous = this.samples[this.samples.length - 1];
+    if (previous && sample.bytes < previous.bytes) {
+      // OBS restarted the output and reset its counters.
+      this.samples = [];
+    }
+    this.live = true;
+    this.samples.push(sample);
+    const oldest = sample.at - Math.max(...Object.values(STREAM_HEALTH_WINDOWS)) - this.intervalMs;
+    while (this.samples.length > 2 && this.samples[0].at < oldest) {
+      this.samples.shift();
+    }
+    const snapshot = this.snapshot();
+    this.setStatus(snapshot.status);
+    this.emit('sample', snapshot);
+    return snapshot;
+  }
+
+  setStatus(status) {
+    if (status === this.status) return;
+    const previous = this.status;
+    this.status = status;
+    this.emit('status', { channel: this.channel, status, previous });
+  }
+
+  summarize(samples) {
+    if (samples.length < 2) {
+      return { samples: samples.length };
+    }
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    const rates = [];
+    for (let index = 1; index < samples.length; index += 1) {
+      const elapsed = samples[index].at - samples[index - 1].at;
+      if (elapsed > 0) rates.push(((samples[index].bytes - samples[index - 1].bytes) * 8) / elapsed);
+    }
+    const average = (key) => samples.reduce((sum, item) => sum + item[key], 0) / samples.length;
+    return {
+      samples: samples.length,
+      duration_ms: last.at - first.at,
+      bitrate_kbps: {
+        avg: round(((last.bytes - first.bytes) * 8) / Math.max(1, last.at - first.at), 0),
+        min: round(Math.min(...rates), 0),
+        max: round(Math.max(...rates), 0)
+      },
+      dropped_frames_pct: percent(last.skipped - first.skipped, last.total - first.total),
+      congestion: round(average('congestion'), 3),
+      cpu_pct: round(average('cpu')),
+      render_lag_pct: percent(last.renderSkipped - first.renderSkipped, last.renderTotal - first.renderTotal),
+      avg_frame_render_ms: round(average('frameRenderMs')),
+      fps: round(average('fps')),
+      reconnecting: samples.some((item) => item.reconnecting)
+    };
+  }
+
+  warningsFor(window, summary) {
+    if (!summary.bitrate_kbps) return [];
+    const limits = StreamHealthMonitor.thresholds();
+    const warnings = [];
+    const check = (metric, value, threshold, breached, message) => {
+      if (breached) warnings.push({ metric, window, value, threshold, message });
+    };
+    check('bitrate_kbps', summary.bitrate_kbps.avg, limits.min_bitrate_kbps,
+      summary.bitrate_kbps.avg < limits.min_bitrate_kbps, 'average bitrate is below the minimum');
+    check('dropped_frames_pct', summary.dropped_frames_pct, limits.max_dropped_frames_pct,
+      summary.dropped_frames_pct > limits.max_dropped_frames_pct, 'network is dropping frames');
+    check('congestion', summary.congestion, limits.max_congestion,
+      summary.congestion > limits.max_congestion, 'output is congested');
+    check('cpu_pct', summary.cpu_pct, limits.max_cpu_pct,
+      summary.cpu_pct > limits.max_cpu_pct, 'OBS CPU usage is high');
+    check('render_lag_pct', summary.render_lag_pct, limits.max_render_lag_pct,
+      summary.render_lag_pct > limits.max_render_lag_pct, 'OBS is skipping frames while rendering');
+    if (summary.reconnecting) {
+      warnings.push({ metric: 'reconnecting', window, value: true, threshold: false, message: 'OBS is reconnecting to the ingest server' });
+    }
+    return warnings;
+  }
+
+  snapshot() {
+    const now = this.samples[this.samples.length - 1]?.at || Date.now();
+    const windows = {};
+    for (const [name, span] of Object.entries(STREAM_HEALTH_WINDOWS)) {
+      windows[name] = this.summarize(this.samples.filter((item) => item.at >= now - span));
+    }
+    const current = this.summarize(this.samples.slice(-2));
+    const warnings = this.warningsFor('1m', windows['1m']);
+    let status = 'unknown';
+    if (this.live === false) status = 'offline';
+    if (this.live && windows['1m'].samples >= 2) status = warnings.length > 0 ? 'degraded' : 'ok';
+    return {
+      channel: this.channel,
+      status,
+      live: this.live,
+      sampled_at: this.lastSampledAt,
+      sample_interval_ms: this.intervalMs,
+      current: current.samples >= 2 ? current : null,
+      windows,
+      warnings,
+      thresholds: StreamHealthMonitor.thresholds(),
+      last_error: this.lastError
+    };
+  }
+}
+
+function loadQualityPresets(filePath = OBS_QUALITY_PRESETS_PATH) {
+  if (!filePath) {
+    return { ...DEFAULT_QUALITY_PRESETS };
+  }
+  const resolved = path.resolve(filePath);
+  let document;
+  try {
+    document = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  } catch (error) {
+    throw new Error(`unable to load quality presets ${resolved}: ${error.message}`);
+  }
+  const presets = { ...DEFAULT_QUALITY_PRESETS };
+  for (const [name, raw] of Object.entries(normalizeBody(document))) {
+    if (!QUALITY_PRESET_NAMES.includes(name)) {
+      throw new Error(`quality preset "${name}" must be one of ${QUALITY_PRESET_NAMES.join(', ')}`);
+    }
+    const preset = normalizeBody(raw);
+    for (const key of ['width', 'height', 'fps', 'bitrate_kbps']) {
+      if (preset[key] !== undefined && (!Number.isInteger(preset[key]) || preset[key] <= 0)) {
+        throw new Error(`quality preset "${name}" ${key} must be a positive integer`);
+      }
+    }
+    if ((preset.width === undefined) !== (preset.height === undefined)) {
+      throw new Error(`quality preset "${name}" must set width and height together`);
+    }
+    for (const key of ['profile', 'encoder_preset']) {
+      if (preset[key] !== undefined && (typeof preset[key] !== 'string' || !preset[key].trim())) {
+        throw new Error(`quality preset "${name}" ${key} must be a non-empty string`);
+      }
+    }
+    presets[name] = preset;
+  }
+  return presets;
+}
+
+const QUALITY_PRESETS = loadQualityPresets();
+
+function expandEnvReferences(value) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{([A-Z0-9_]+)\}/gi, (_match, name) => process.env[name] || '');
+  }
+  if (Array.isArray(value)) {
+    return value.map(expandEnvReferences);
+  }
+  if (typeof value === 'object' && value !== null) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, expandEnvReferences(item)]));
+  }
+  return value;
+}
+
+function loadChannelRegistry(filePath = CHANNELS_PATH) {
+  if (!filePath) {
+    return {
+      source: null,
+      catchAll: true,
+      defaultChannel: TWITCH_BROADCASTER_LOGIN.toLowerCase() || 'default',
+      channels: [{
+        name: TWITCH_BROADCASTER_LOGIN.toLowerCase() || 'default',
+        twitch: {},
+        obs: {}
+      }]
+    };
+  }
+
+  const resolved = path.resolve(filePath);
+  let document;
+  try {
+    document = expandEnvReferences(JSON.parse(fs.readFileSync(resolved, 'utf8')));
+  } catch (error) {
+    throw new Error(`unable to load channel registry ${resolved}: ${error.message}`);
+  }
+
+  const entries = Object.entries(normalizeBody(document?.channels));
+  if (entries.length === 0) {
+    throw new Error(`channel registry ${resolved} must define at least one channel`);
+  }
+  const channels = entries.map(([rawName, rawConfig]) => {
+    const name = String(rawName).trim().toLowerCase();
+    if (!/^[a-z0-9_]{2,64}$/.test(name)) {
+      throw new Error(`channel registry name "${rawName}" must be 2-64 chars of a-z, 0-9 or _`);
+    }
+    const config = normalizeBody(rawConfig);
+    const twitch = normalizeBody(config.twitch);
+    const obs = normalizeBody(config.obs);
+    return {
+      name,
+      twitch: {
+        clientId: twitch.client_id || TWITCH_CLIENT_ID,
+        oauthToken: twitch.oauth_token || '',
+        clientSecret: twitch.client_secret || TWITCH_CLIENT_SECRET,
+        refreshToken: twitch.refresh_token || '',
+        broadcasterId: String(twitch.broadcaster_id || ''),
+        broadcasterLogin: twitch.broadcaster_login || name,
+        channelName: name
+      },
+      obs: {
+        url: obs.url || '',
+        password: obs.password || '',
+        defaultScene: obs.default_scene || '',
+        sceneAllowlist: Array.isArray(obs.scenes) ? obs.scenes.map(String) : [],
+        sourceAllowlist: Array.isArray(obs.sources) ? obs.sources.map(String) : []
+      }
+    };
+  });
+
+  const defaultChannel = String(document.default_channel || channels[0].name).trim().toLowerCase();
+  if (!channels.some((channel) => channel.name === defaultChannel)) {
+    throw new Error(`channel registry default_channel "${defaultChannel}" is not defined`);
+  }
+  return { source: resolved, catchAll: false, defaultChannel, channels };
+}
+
+class TwitchStreamRuntime extends EventEmitter {
+  constructor(registry = loadChannelRegistry()) {
+    super();
+    this.setMaxListeners(0);
+    this.sessions = new Map();
+    this.registrySource = registry.source;
+    this.catchAll = registry.catchAll;
+    this.defaultChannel = registry.defaultChannel;
+    this.channels = new Map();
+    for (const channel of registry.channels) {
+      const twitch = new TwitchApiClient(channel.twitch);
+      const eventsub = new TwitchEventSubClient(twitch, { channel: registry.catchAll ? '' : channel.name });
+      const chat = new ChatBuffer(channel.name);
+      eventsub.on('channel.chat.message', (event, metadata) => {
+        chat.push(ChatBuffer.fromEvent(channel.name, event, metadata));
+      });
+      const obs = new OBSStreamController(channel.obs);
+      const backend = {
+        name: channel.name,
+        obs,
+        twitch,
+        eventsub,
+        chat,
+        health: new StreamHealthMonitor(obs, { channel: channel.name }),
+        stopsInFlight: 0,
+        lastReconcile: null
+      };
+      const reconcile = (reason) => {
+        this.reconcileSessions(channel.name, reason).catch((error) => {
+          logger.error('session reconcile failed', { channel: channel.name, error });
+        });
+      };
+      obs.on('reconnected', () => {
+        metrics.obsReconnects.inc({ channel: channel.name });
+        reconcile('OBS output stopped while the connection was down');
+      });
+      obs.on('stream', (event) => {
+        if (event.output_state && !['OBS_WEBSOCKET_OUTPUT_STOPPED', 'OBS_WEBSOCKET_OUTPUT_STARTED'].includes(event.output_state)) {
+          return;
+        }
+        reconcile('OBS output stopped unexpectedly');
+      });
+      this.channels.set(channel.name, backend);
+    }
+    this.obs = this.channels.get(this.defaultChannel).obs;
+    this.twitch = this.channels.get(this.defaultChannel).twitch;
+    this.jobLock = new Map();
+  }
+
+  resolveChannel(channel) {
+    const normalized = String(channel || '').trim().toLowerCase();
+    if (this.catchAll || !normalized) {
+      return this.channels.get(this.defaultChannel);
+    }
+    const backend = this.channels.get(normalized);
+    if (!backend) {
+      const error = new Error(`unknown channel "${normalized}"`);
+      error.code = 'unknown_channel';
+      throw error;
+    }
+    return backend;
+  }
+
+  async checkScopes(action, args = {}) {
+    const required = requiredScopesFor(action, args);
+    const { twitch } = this.resolveChannel(args.channel);
+    if (required.length === 0 || !twitch.isConfigured()) {
+      return { ok: true, required_scopes: required, missing_scopes: [] };
+    }
+    const identity = await twitch.validateIdentity();
+    const granted = new Set(identity?.scopes || []);
+    const missing = required.filter((scope) => !granted.has(scope));
+    return { ok: missing.length === 0, required_scopes: required, missing_scopes: missing };
+  }
+
+  async preflightChannel(backend) {
+    const checks = [];
+    const run = async (id, severity, fn) => {
+      try {
+        const detail = await withTimeout(`preflight ${id}`, fn, OBS_CONNECT_TIMEOUT_MS);
+        const ok = detail?.ok !== false;
+        checks.push({ id, ok, severity, detail: detail?.detail ?? detail ?? null });
+        return ok;
+      } catch (error) {
+        checks.push({ id, ok: false, severity, detail: String(error?.message || error) });
+        return false;
+      }
+    };
+
+    const obsReachable = await run('obs.connection', 'error', async () => {
+      if (!backend.obs.isConfigured()) {
+        return { ok: false, detail: 'OBS websocket dependency or URL is missing' };
+      }
+      await backend.obs.connect();
+      return { detail: `connected to ${backend.obs.wsUrl}` };
+    });
+    if (obsReachable) {
+      await run('obs.stream_output', 'error', async () => {
+        const settings = await backend.obs.getStreamServiceSettings();
+        const ok = Boolean(settings.has_key && (settings.server || settings.service));
+        return { ok, detail: ok ? settings : { ...settings, problem: 'stream service server/key is not configured' } };
+      });
+      await run('obs.scenes', 'error', async () => {
+        const { current_scene: currentScene, scenes } = await backend.obs.listScenes();
+        const missing = backend.obs.defaultScene && !scenes.includes(backend.obs.defaultScene)
+          ? backend.obs.defaultScene
+          : null;
+        return {
+          ok: scenes.length > 0 && !missing,
+          detail: { current_scene: currentScene, scenes, missing_default_scene: missing }
+        };
+      });
+      const presetProfiles = Object.entries(backend.obs.qualityPresets).filter(([, preset]) => preset.profile);
+      if (presetProfiles.length > 0) {
+        await run('obs.quality_profiles', 'warning', async () => {
+          const { profiles = [] } = await backend.obs.call('GetProfileList');
+          const missing = presetProfiles
+            .filter(([, preset]) => !profiles.includes(preset.profile))
+            .map(([name, preset]) => `${name}: ${preset.profile}`);
+          return { ok: missing.length === 0, detail: { profiles, missing } };
+        });
+      }
+    }
+
+    const { twitch } = backend;
+    if (!twitch.isConfigured()) {
+      checks.push({
+        id: 'twitch.token',
+        ok: false,
+        severity: 'warning',
+        detail: 'TWITCH_CLIENT_ID/TWITCH_OAUTH_TOKEN missing; metadata, chat and clip actions are unavailable'
+      });
+    } else {
+      let identity = null;
+      const tokenValid = await run('twitch.token', 'error', async () => {
+        identity = await twitch.validateIdentity();
+        return {
+          detail: {
+            login: identity?.login || null,
+            expires_at: twitch.tokenStatus().expires_at
+          }
+        };
+      });
+      if (tokenValid) {
+        const granted = new Set(identity?.scopes || []);
+        for (const action of TWITCH_TOOL_ACTIONS) {
+          if (!action.startsWith('twitch.')) continue;
+          const missing = requiredScopesFor(action).filter((scope) => !granted.has(scope));
+          checks.push({
+            id: `twitch.scopes.${action}`,
+            ok: missing.length === 0,
+            severity: ACTION_REQUIRED_SCOPES[action].includes('channel:manage:broadcast') ? 'error' : 'warning',
+            detail: { required_scopes: requiredScopesFor(action), missing_scopes: missing }
+          });
+        }
+        await run('twitch.broadcaster', 'error', async () => ({
+          detail: { broadcaster_id: await twitch.resolveBroadcasterId(backend.name === 'default' ? '' : backend.name) }
+        }));
+      }
+    }
+
+    return {
+      name: backend.name,
+      ok: checks.every((check) => check.ok || check.severity !== 'error'),
+      checks
+    };
+  }
+
+  async preflight(channel) {
+    const backends = channel ? [this.resolveChannel(channel)] : [...this.channels.values()];
+    const channels = [];
+    for (const backend of backends) {
+      channels.push(await this.preflightChannel(backend));
+    }
+    return {
+      ok: channels.every((entry) => entry.ok),
+      checked_at: nowIso(),
+      channels
+    };
+  }
+
+  async _prepareTwitchConfirmation(eventsub, args) {
+    const requested = args.wait_for_twitch ?? TWITCH_LIVE_CONFIRM;
+    if (!requested) {
+      return null;
+    }
+    const since = performance.now();
+    if (!eventsub.isAvailable()) {
+      return { available: false, reason: 'twitch eventsub requires the ws dependency and twitch credentials' };
+    }
+    try {
+      await withTimeout('twitch eventsub subscribe', () => eventsub.watchStream(), TWITCH_API_TIMEOUT_MS);
+      return { available: true, since };
+    } catch (error) {
+      return { available: false, reason: String(error?.message || error) };
+    }
+  }
+
+  async _confirmTwitchState(eventsub, confirmation, online, result, signal) {
+    result.obs_live = Boolean(result.stream?.active);
+    result.twitch_live = null;
+    if (!confirmation) {
+      return result;
+    }
+    if (!confirmation.available) {
+      result.twitch_confirmation = { status: 'unavailable', reason: confirmation.reason };
+      return result;
+    }
+
+    const outcome = await eventsub.waitForLive(online, TWITCH_LIVE_CONFIRM_TIMEOUT_MS, { signal, since: confirmation.since });
+    result.twitch_live = outcome.confirmed ? online : !online;
+    result.twitch_confirmation = {
+      status: outcome.confirmed ? 'confirmed' : 'timeout',
+      ...outcome
+    };
+    if (!outcome.confirmed) {
+      const error = new Error(`twitch did not report the stream ${online ? 'online' : 'offline'} within ${TWITCH_LIVE_CONFIRM_TIMEOUT_MS}ms`);
+      error.result = {
+        obs_live: result.obs_live,
+        twitch_live: result.twitch_live,
+        twitch_confirmation: result.twitch_confirmation
+      };
+      throw error;
+    }
+    return result;
+  }
+
+  _sessionKey(agentId, channel) {
+    return `${agentId}@${this.resolveChannel(channel).name}`;
+  }
+
+  _getSession(agentId, channel) {
+    if (!agentId || typeof agentId !== 'string') {
+      return null;
+    }
+    return this.sessions.get(this._sessionKey(agentId, channel)) || {
+      state: 'idle',
+      metadata: {},
+      updated_at: nowIso()
+    };
+  }
+
+  _setSession(agentId, channel, session) {
+    const next = {
+      ...session,
+      agent_id: agentId,
+      channel: this.resolveChannel(channel).name,
+      updated_at: nowIso()
+    };
+    this.sessions.set(this._sessionKey(agentId, channel), next);
+    return next;
+  }
+
+  async reconcileSessions(channel, reason = 'OBS output state changed') {
+    const backend = this.resolveChannel(channel);
+    const state = await backend.obs.getStreamState();
+    const changed = [];
+    for (const [key, session] of this.sessions) {
+      if (session.channel !== backend.name) continue;
+      let next = null;
+      if (session.state === 'running' && !state.active) {
+        if (backend.stopsInFlight > 0) continue;
+        next = 'interrupted';
+      } else if (session.state === 'interrupted' && state.active) {
+        next = 'running';
+      }
+      if (!next) continue;
+      const updated = {
+        ...session,
+        state: next,
+        reconciled_at: nowIso(),
+        updated_at: nowIso()
+      };
+      this.sessions.set(key, updated);
+      changed.push({ agent_id: session.agent_id, from: session.state, to: next });
+      if (next === 'interrupted') {
+        this.emit('interrupted', { channel: backend.name, session: updated, reason });
+      }
+    }
+    backend.lastReconcile = {
+      at: nowIso(),
+      obs_live: state.active,
+      sessions: changed
+    };
+    return backend.lastReconcile;
+  }
+
+  async _withActionLock(agentId, action, { signal } = {}) {
+    const prior = this.jobLock.get(agentId) || Promise.resolve();
+    let started = false;
+    const next = prior.catch(() => {}).then(async () => {
+      try {
+        throwIfCancelled(signal);
+        started = true;
+        return await action();
+      } finally {
+        if (this.jobLock.get(agentId) === next) {
+          this.jobLock.delete(agentId);
+        }
+      }
+    });
+    this.jobLock.set(agentId, next);
+    if (!signal) {
+      return next;
+    }
+
+    // A job cancelled while queued behind another agent action gives up its
+    // place at once; its turn in the chain becomes a no-op.
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        if (!started) reject(signal.reason instanceof Error ? signal.reason : createCancelError());
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
+      if (signal.aborted) onAbort();
+      next.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+
+  async _setMetadata(channel, metadata) {
+    const { twitch } = this.resolveChannel(channel);
+    if (!twitch.isConfigured()) {
+      return {
+        status: 'skipped',
+        reason: 'twitch metadata update skipped: missing twitch credentials'
+      };
+    }
+
+    const hasMetadata = Boolean(metadata?.title || metadata?.game || metadata?.game_id);
+    if (!hasMetadata) {
+      return {
+        status: 'skipped',
+        reason: 'no metadata provided'
+      };
+    }
+
+    return twitch.setChannelMetadata({
+      channel,
+      title: metadata.title,
+      game: metadata.game,
+      game_id: metadata.game_id
+    });
+  }
+
+  async startStream(agentId, args = {}, operation = {}) {
+    const { signal } = operation;
+    return this._withActionLock(agentId, async () => {
+      const { obs, eventsub } = this.resolveChannel(args.channel);
+      const session = this._getSession(agentId, args.channel);
+      if (session.state === 'starting') {
+        return {
+          status: 'running',
+          reason: 'start already in progress for this agent'
+        };
+      }
+
+      session.state = 'starting';
+      this._setSession(agentId, args.channel, session);
+
+      try {
+        const metadata = await withTimeout('set metadata', () => this._setMetadata(args.channel, {
+          title: args.title,
+          game: args.game,
+          game_id: args.game_id
+        }), OBS_OPERATION_TIMEOUT_MS, { signal });
+
+        const confirmation = await this._prepareTwitchConfirmation(eventsub, args);
+        const result = await withTimeout(
+          'start stream',
+          () => obs.startStream(args, operation),
+          args.restart ? OBS_OPERATION_TIMEOUT_MS * 2 : OBS_OPERATION_TIMEOUT_MS,
+          { signal }
+        );
+        await this._confirmTwitchState(eventsub, confirmation, true, result, signal);
+        const mergedState = {
+          ...result,
+          channel: args.channel,
+          metadata
+        };
+        session.state = 'running';
+        session.metadata = {
+          ...(session.metadata || {}),
+          channel: args.channel,
+          title: args.title || session.metadata?.title || null,
+          game: args.game || session.metadata?.game || null,
+          game_id: args.game_id || session.metadata?.game_id || null,
+          obs_scene: args.obs_scene || session.metadata?.obs_scene || null,
+          quality: (result.quality && !result.quality.error && result.quality.preset) || session.metadata?.quality || null,
+          stream_started_at: nowIso()
+        };
+        session.job_id = operation.jobId || null;
+        session.mission_id = operation.missionId || null;
+        session.correlation_id = operation.correlationId || null;
+        this._setSession(agentId, args.channel, session);
+        return mergedState;
+      } catch (error) {
+        session.state = error?.cancelled ? 'cancelled' : 'failed';
+        this._setSession(agentId, args.channel, session);
+        throw error;
+      }
+    }, { signal });
+  }
+
+  async stopStream(agentId, args = {}, operation = {}) {
+    const { signal } = operation;
+    return this._withActionLock(agentId, async () => {
+      const backend = this.resolveChannel(args.channel);
+      const { obs, eventsub } = backend;
+      const session = this._getSession(agentId, args.channel);
+      if (session.state === 'stopping') {
+        return {
+          status: 'stopped',
+          reason: 'stop already in progress for this agent'
+        };
+      }
+
+      session.state = 'stopping';
+      this._setSession(agentId, args.channel, session);
+
+      backend.stopsInFlight += 1;
+      try {
+        const confirmation = await this._prepareTwitchConfirmation(eventsub, args);
+        const result = await withTimeout(
+          'stop stream',
+          () => obs.stopStream(operation),
+          OBS_OPERATION_TIMEOUT_MS,
+          { signal }
+        );
+        await this._confirmTwitchState(eventsub, confirmation, false, result, signal);
+        session.state = 'stopped';
+        session.stream_stopped_at = nowIso();
+        this._setSession(agentId, args.channel, session);
+        this._endChannelSessions(backend.name, agentId);
+        return result;
+      } catch (error) {
+        session.state = error?.cancelled ? 'cancelled' : 'failed';
+        this._setSession(agentId, args.channel, session);
+        this.reconcileSessions(backend.name, 'OBS output stopped unexpectedly').catch(() => {});
+        throw error;
+      } finally {
+        backend.stopsInFlight -= 1;
+      }
+    }, { signal });
+  }
+
+  // A deliberate stop ends every agent's session on the channel, so neither
+  // reconcileSessions nor the recovery watchdog restarts the stream.
+  _endChannelSessions(channel, stoppedBy) {
+    for (const [key, session] of this.sessions) {
+      if (session.channel !== channel || !['running', 'interrupted'].includes(session.state)) continue;
+      this.sessions.set(key, {
+        ...session,
+        state: 'stopped',
+        stopped_by: stoppedBy,
+        stream_stopped_at: nowIso(),
+        updated_at: nowIso()
+      });
+    }
+  }
+
+  async rollbackStart(agentId, args = {}, operation = {}) {
+    if (!operation.streamStartIssued) {
+      return { status: 'skipped', reason: 'stream start was never issued' };
+    }
+    const state = await this.resolveChannel(args.channel).obs.getStreamState();
+    if (!state.active) {
+      return { status: 'skipped', reason: 'stream is not live' };
+    }
+    const result = await this.stopStream(agentId, {
+      channel: args.channel,
+      reason: 'rollback of cancelled start'
+    });
+    return { status: 'rolled_back', stream: result };
+  }
+
+  async setTitle(agentId, args = {}) {
+    return this._withActionLock(agentId, () =>
+      withTimeout(
+        'set_title',
+        () => this.resolveChannel(args.channel).twitch.setTitle(args),
+        OBS_OPERATION_TIMEOUT_MS
+      )
+    );
+  }
+
+  async setGame(agentId, args = {}) {
+    return this._withActionLock(agentId, () =>
+      withTimeout(
+        'set_game',
+        () => this.resolveChannel(args.channel).twitch.setGame(args),
+        OBS_OPERATION_TIMEOUT_MS
+      )
+    );
+  }
+
+  async postChatMessage(agentId, args = {}) {
+    return this._withActionLock(agentId, () =>
+      withTimeout(
+        'post_chat_message',
+        () => this.resolveChannel(args.channel).twitch.sendChatMessage(args),
+        OBS_OPERATION_TIMEOUT_MS
+      )
+    );
+  }
+
+  async watchChat(channel) {
+    const backend = this.resolveChannel(channel);
+    if (!backend.eventsub.isAvailable()) {
+      throw new Error('chat ingestion requires the ws dependency and twitch credentials');
+    }
+    if (!backend.eventsub.subscriptions.has('channel.chat.message')) {
+      await withTimeout('twitch chat subscribe', () => backend.eventsub.watchChat(), TWITCH_API_TIMEOUT_MS);
+    }
+    return backend;
+  }
+
+  async readChat(_agentId, args = {}) {
+    const backend = await this.watchChat(args.channel);
+    return {
+      status: 'ok',
+      channel: backend.name,
+      ...backend.chat.since(args.since, args.limit || CHAT_READ_DEFAULT_LIMIT)
+    };
+  }
+
+  checkObsTargets(action, args = {}) {
+    const { obs } = this.resolveChannel(args.channel);
+    const scene = args.scene || args.obs_scene;
+    if (scene && !obs.isSceneAllowed(scene)) {
+      return { ok: false, reason: `OBS scene "${scene}" is not in the scene allowlist` };
+    }
+    if (args.source !== undefined && action.startsWith('obs.') && !obs.isSourceAllowed(args.source)) {
+      return { ok: false, reason: `OBS source "${args.source}" is not in the source allowlist` };
+    }
+    return { ok: true };
+  }
+
+  async getStreamHealth(_agentId, args = {}) {
+    const { health } = this.resolveChannel(args.channel);
+    const lastSampledMs = health.lastSampledAt ? Date.parse(health.lastSampledAt) : 0;
+    if (Date.now() - lastSampledMs > health.intervalMs * 2) {
+      await withTimeout('stream health sample', () => health.sample(), OBS_CONNECT_TIMEOUT_MS).catch(() => null);
+    }
+    return { status: 'ok', health: health.snapshot() };
+  }
+
+  async listObsScenes(_agentId, args = {}) {
+    const { obs } = this.resolveChannel(args.channel);
+    const { current_scene: currentScene, scenes } = await withTimeout('obs.list_scenes', () => obs.listScenes(), OBS_OPERATION_TIMEOUT_MS);
+    return {
+      status: 'ok',
+      current_scene: currentScene,
+      scenes: scenes.map((name) => ({ name, allowed: obs.isSceneAllowed(name) }))
+    };
+  }
+
+  async setObsScene(agentId, args = {}) {
+    return this._withActionLock(agentId, async () => {
+      const { obs } = this.resolveChannel(args.channel);
+      await withTimeout('obs.set_scene', () => obs.setScene(args.scene), OBS_OPERATION_TIMEOUT_MS);
+      return { status: 'updated', scene: args.scene };
+    });
+  }
+
+  async setSourceVisibility(agentId, args = {}) {
+    return this._withActionLock(agentId, () =>
+      withTimeout(
+        'obs.set_source_visibility',
+        () => this.resolveChannel(args.channel).obs.setSourceVisibility(args),
+        OBS_OPERATION_TIMEOUT_MS
+      )
+    );
+  }
+
+  async setSourceText(agentId, args = {}) {
+    return this._withActionLock(agentId, () =>
+      withTimeout(
+        'obs.set_text',
+        () => this.resolveChannel(args.channel).obs.setText(args),
+        OBS_OPERATION_TIMEOUT_MS
+      )
+    );
+  }
+
+  async setBrowserSourceUrl(agentId, args = {}) {
+    return this._withActionLock(agentId, () =>
+      withTimeout(
+        'obs.set_browser_source_url',
+        () => this.resolveChannel(args.channel).obs.setBrowserSourceUrl(args),
+        OBS_OPERATION_TIMEOUT_MS
+      )
+    );
+  }
+
+  async startRecord(agentId, args = {}, operation = {}) {
+    return this._withActionLock(agentId, () =>
+      withTimeout(
+        'obs.start_record',
+        () => this.resolveChannel(args.channel).obs.startRecord(operation),
+        OBS_OPERATION_TIMEOUT_MS,
+        { signal: operation.signal }
+      ), { signal: operation.signal });
+  }
+
+  async stopRecord(agentId, args = {}, operation = {}) {
+    return this._withActionLock(agentId, () =>
+      withTimeout(
+        'obs.stop_record',
+        () => this.resolveChannel(args.channel).obs.stopRecord(operation),
+        OBS_OPERATION_TIMEOUT_MS,
+        { signal: operation.signal }
+      ), { signal: operation.signal });
+  }
+
+  async pauseRecord(agentId, args = {}, operation = {}) {
+    return this._withActionLock(agentId, () =>
+      withTimeout(
+        'obs.pause_record',
+        () => this.resolveChannel(args.channel).obs.pauseRecord(args, operation),
+        OBS_OPERATION_TIMEOUT_MS,
+        { signal: operation.signal }
+      ), { signal: operation.signal });
+  }
+
+  async saveReplayBuffer(agentId, args = {}, operation = {}) {
+    return this._withActionLock(agentId, () =>
+      withTimeout(
+        'obs.save_replay_buffer',
+        () => this.resolveChannel(args.channel).obs.saveReplayBuffer(operation),
+        OBS_OPERATION_TIMEOUT_MS,
+        { signal: operation.signal }
+      ), { signal: operation.signal });
+  }
+
+  async createClip(agentId, args = {}) {
+    return this._withActionLock(agentId, () =>
+      withTimeout(
+        'create_clip',
+        () => this.resolveChannel(args.channel).twitch.createClip(args),
+        OBS_OPERATION_TIMEOUT_MS
+      )
+    );
+  }
+}
+
+class StreamWatchdog {
+  constructor({
+    enabled = STREAM_RECOVERY_ENABLED,
+    maxAttempts = STREAM_RECOVERY_MAX_ATTEMPTS,
+    backoffMs = STREAM_RECOVERY_BACKOFF_MS,
+    fallbackScene = STREAM_RECOVERY_FALLBACK_SCENE,
+    chatNotice = STREAM_RECOVERY_CHAT_NOTICE
+  } = {}) {
+    this.enabled = enabled;
+    this.maxAttempts = Math.max(1, isFiniteNumber(maxAttempts, 3));
+    this.backoffMs = Math.max(0, isFiniteNumber(backoffMs, 5000));
+    this.fallbackScene = fallbackScene;
+    this.chatNotice = chatNotice;
+    this.incidents = new Map();
+  }
+
+  static isOpen(incident) {
+    return Boolean(incident) && ['waiting', 'recovering'].includes(incident.status);
+  }
+
+  open(channel, session, reason) {
+    if (StreamWatchdog.isOpen(this.incidents.get(channel))) return null;
+    const incident = {
+      id: `inc_${crypto.randomBytes(6).toString('hex')}`,
+      channel,
+      status: 'waiting',
+      reason,
+      agent_id: session.agent_id,
+      mission_id: session.mission_id || null,
+      correlation_id: session.correlation_id || null,
+      original_job_id: session.job_id || null,
+      args: {
+        channel,
+        ...(this.fallbackScene || session.metadata?.obs_scene
+          ? { obs_scene: this.fallbackScene || session.metadata.obs_scene }
+          : {}),
+        ...(session.metadata?.quality ? { quality: session.metadata.quality } : {})
+      },
+      attempts: 0,
+      jobs: [],
+      notice: null,
+      opened_at: nowIso(),
+      next_attempt_at: null,
+      closed_at: null,
+      last_error: null,
+      timer: null
+    };
+    this.incidents.set(channel, incident);
+    return incident;
+  }
+
+  delayFor(incident) {
+    return this.backoffMs * Math.pow(2, incident.attempts);
+  }
+
+  close(incident, status, error = null) {
+    clearTimeout(incident.timer);
+    incident.timer = null;
+    incident.status = status;
+    incident.next_attempt_at = null;
+    incident.closed_at = nowIso();
+    if (error) incident.last_error = error;
+  }
+
+  status(channel) {
+    const incident = this.incidents.get(channel);
+    if (!incident) return null;
+    const { timer, ...rest } = incident;
+    return rest;
+  }
+}
+
+class ActionScheduler {
+  constructor(store, { tickMs = SCHEDULE_TICK_MS, misfireGraceMs = SCHEDULE_MISFIRE_GRACE_MS } = {}) {
+    this.store = store;
+    this.tickMs = Math.max(100, isFiniteNumber(tickMs, 1000));
+    this.misfireGraceMs = Math.max(0, isFiniteNumber(misfireGraceMs, 5 * 60 * 1000));
+    this.timer = null;
+    this.onDue = null;
+  }
+
+  start(onDue) {
+    this.onDue = onDue;
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.tickMs);
+    this.timer.unref?.();
+    this.tick();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  pending() {
+    return this.store.list()
+      .filter((job) => job.status === 'scheduled')
+      .sort((left, right) => Date.parse(left.schedule.run_at) - Date.parse(right.schedule.run_at));
+  }
+
+  tick(now = Date.now()) {
+    for (const job of this.pending()) {
+      if (Date.parse(job.schedule.run_at) > now) break;
+      this.onDue?.(job);
+    }
+  }
+
+  isMissed(job, now = Date.now()) {
+    return now - Date.parse(job.schedule.run_at) > this.misfireGraceMs;
+  }
+
+  static nextOccurrence(job, now = Date.now()) {
+    if (!job.schedule?.cron) return null;
+    const nextRunAt = nextCronTime(job.schedule.cron, Math.max(Date.parse(job.schedule.run_at), now));
+    if (nextRunAt === null) return null;
+    return {
+      ...job.schedule,
+      run_at: new Date(nextRunAt).toISOString(),
+      occurrence: job.schedule.occurrence + 1,
+      previous_job_id: job.id
+    };
+  }
+
+  status() {
+    const pending = this.pending();
+    return {
+      pending: pending.length,
+      recurring: pending.filter((job) => job.schedule.cron).length,
+      next_run_at: pending[0]?.schedule.run_at || null
+    };
+  }
+}
+
+const streamRuntime = new TwitchStreamRuntime();
+const streamWatchdog = new StreamWatchdog();
+const actionPolicy = ActionPolicy.fromFile(POLICY_PATH, {
+  defaultChannel: streamRuntime.defaultChannel,
+  usagePath: POLICY_USAGE_PATH
+});
+const actionRateLimiter = ActionRateLimiter.fromFile();
+const chatCommandRouter = ChatCommandRouter.fromFile(CHAT_COMMANDS_PATH);
+const activeJobs = new Map();
+const jobStore = JobStore.fromConfig();
+const restoredJobs = jobStore.load();
+const actionScheduler = new ActionScheduler(jobStore);
+const auditLog = AuditLog.fromConfig();
+const auditVerification = auditLog.load();
+const lastJobStatus = new Map();
+
+jobStore.on('event', ({ job }) => {
+  const fields = {
+    job_id: job.id,
+    action: job.action,
+    request_id: job.request_id,
+    agent_id: job.agent_id,
+    mission_id: job.mission_id,
+    correlation_id: job.correlation_id,
+    status: job.status
+  };
+  const previous = lastJobStatus.get(job.id);
+  if (previous === job.status) {
+    logger.debug('job progress', { ...fields, progress: job.progress?.message });
+    return;
+  }
+  lastJobStatus.set(job.id, job.status);
+  if (!JobStore.isTerminal(job)) {
+    logger.info('job status', { ...fields, from: previous || null });
+    return;
+  }
+
+  const labels = { action: job.action, status: job.status };
+  metrics.jobOutcomes.inc(labels);
+  const elapsedMs = Date.parse(job.updated_at) - Date.parse(job.schedule?.run_at || job.created_at);
+  if (Number.isFinite(elapsedMs)) {
+    metrics.jobDuration.observe(labels, Math.max(0, elapsedMs) / 1000);
+  }
+  logger.log(job.status === 'failed' ? 'warn' : 'info', 'job status', {
+    ...fields,
+    from: previous || null,
+    duration_ms: Number.isFinite(elapsedMs) ? elapsedMs : null,
+    error: job.result?.error
+  });
+  appendAudit({
+    event: 'job',
+    correlation_id: job.correlation_id || null,
+    caller: { agent_id: job.agent_id },
+    request_id: job.request_id,
+    mission_id: job.mission_id || null,
+    action: job.action,
+    args: job.args,
+    channel: job.args?.channel || null,
+    status: job.status,
+    error: job.result?.error || null,
+    job_id: job.id,
+    source: job.source || null,
+    side_effects: job.status === 'done'
+      ? auditSideEffects(job.action, job.args, job.result?.action_response)
+      : []
+  });
+});
+
+metricsRegistry.gauge('clawcraft_jobs_open', 'Jobs not finished yet, by status.', ['status'], () => {
+  const counts = { scheduled: 0, queued: 0, running: 0, cancelling: 0 };
+  for (const job of jobStore.list()) {
+    if (job.status in counts) counts[job.status] += 1;
+  }
+  return Object.entries(counts).map(([status, value]) => ({ labels: { status }, value }));
+});
+metricsRegistry.gauge(
+  'clawcraft_stream_live',
+  'Whether the channel is live (1) according to OBS output state or Twitch EventSub.',
+  ['channel', 'source'],
+  () => [...streamRuntime.channels.values()].flatMap((backend) => [
+    { labels: { channel: backend.name, source: 'obs' }, value: backend.obs.connected && backend.health.live ? 1 : 0 },
+    { labels: { channel: backend.name, source: 'twitch' }, value: backend.eventsub.live ? 1 : 0 }
+  ])
+);
+metricsRegistry.gauge('clawcraft_obs_connected', 'Whether the OBS websocket is connected (1).', ['channel'], () =>
+  [...streamRuntime.channels.values()].map((backend) => ({
+    labels: { channel: backend.name },
+    value: backend.obs.connected ? 1 : 0
+  }))
+);
+
+function appendAudit(record) {
+  try {
+    return auditLog.append(record);
+  } catch (error) {
+    logger.error('audit append failed', { action: record.action, error });
+    return null;
+  }
+}
+
+function auditSideEffects(action, args = {}, response = {}) {
+  if (String(response?.status || '').startsWith('already_')) {
+    return [];
+  }
+  switch (action) {
+    case 'twitch.start_stream':
+      return [
+        ...(args.title || args.game || args.game_id
+          ? [{ target: 'twitch', change: 'channel_metadata', title: args.title, game: args.game, game_id: args.game_id }]
+          : []),
+        ...(args.obs_scene ? [{ target: 'obs', change: 'scene', scene: args.obs_scene }] : []),
+        ...(response?.quality ? [{ target: 'obs', change: 'quality_preset', preset: response.quality.preset }] : []),
+        { target: 'obs', change: 'stream_started', restarted: Boolean(response?.restarted) }
+      ];
+    case 'twitch.stop_stream':
+      return [{ target: 'obs', change: 'stream_stopped' }];
+    case 'twitch.set_title':
+      return [{ target: 'twitch', change: 'title', title: args.title }];
+    case 'twitch.set_game':
+      return [{ target: 'twitch', change: 'game', game: args.game, game_id: args.game_id }];
+    case 'twitch.post_chat_message':
+      return [{ target: 'twitch', change: 'chat_message', message: args.message }];
+    case 'twitch.create_clip':
+      return [{ target: 'twitch', change: 'clip', clip_id: response?.clip_id || null }];
+    case 'obs.set_scene':
+      return [{ target: 'obs', change: 'scene', scene: args.scene }];
+    case 'obs.set_source_visibility':
+      return [{ target: 'obs', change: 'source_visibility', source: args.source, visible: args.visible, scene: args.scene }];
+    case 'obs.set_text':
+      return [{ target: 'obs', change: 'text', source: args.source, text: args.text }];
+    case 'obs.set_browser_source_url':
+      return [{ target: 'obs', change: 'browser_source_url', source: args.source, url: args.url }];
+    case 'obs.start_record':
+      return [{ target: 'obs', change: 'record_started', output_path: response?.output_path || null }];
+    case 'obs.stop_record':
+      return [{ target: 'obs', change: 'record_stopped', output_path: response?.output_path || null }];
+    case 'obs.pause_record':
+      return [{ target: 'obs', change: args.resume ? 'record_resumed' : 'record_paused' }];
+    case 'obs.save_replay_buffer':
+      return [{ target: 'obs', change: 'replay_saved', output_path: response?.output_path || null }];
+    default:
+      return [];
+  }
+}
+
+function recordExecuteAudit(req, res, audit) {
+  const body = normalizeBody(req.body);
+  const normalized = audit.normalized;
+  const rawString = (value) => (typeof value === 'string' ? value.slice(0, 120) : null);
+  appendAudit({
+    event: audit.event || 'execute',
+    correlation_id: res.get('x-correlation-id') || null,
+    caller: {
+      agent_id: normalized?.agent_id || rawString(body.agent_id),
+      ip: req.ip || null,
+      user_agent: rawString(req.get('user-agent')),
+      token: Boolean(req.tokenVerified),
+      signed: Boolean(req.signatureVerified)
+    },
+    request_id: audit.requestId || normalized?.request_id || rawString(body.request_id),
+    mission_id: normalized?.mission_id || rawString(body.mission_id),
+    action: normalized?.action || rawString(body.action),
+    args: normalized?.args || null,
+    channel: normalized?.args?.channel || null,
+    policy: audit.policy
+      ? { allowed: audit.policy.allowed, rule: audit.policy.rule || null, reason: audit.policy.reason || null }
+      : null,
+    http_status: res.statusCode,
+    status: audit.status || (res.statusCode >= 400 ? 'rejected' : 'done'),
+    error: audit.error || null,
+    job_id: audit.jobId || null,
+    side_effects: audit.sideEffects || []
+  });
+}
+
+// Appended when the handler sends its response: 'finish' never fires for a
+// client that disconnected first, but the action has still run.
+function auditOnResponse(req, res, audit) {
+  const end = res.end;
+  res.end = function endWithAudit(...args) {
+    res.end = end;
+    recordExecuteAudit(req, res, audit);
+    return end.apply(this, args);
+  };
+}
+
+function jobLogFields(job) {
+  return {
+    correlation_id: job.correlation_id,
+    request_id: job.request_id,
+    agent_id: job.agent_id,
+    mission_id: job.mission_id,
+    action: job.action,
+    job_id: job.id
+  };
+}
+
+function executeAsyncToolAction(job, action, args, agentId) {
+  return logContext.run(jobLogFields(job), () => runAsyncToolAction(job, action, args, agentId));
+}
+
+async function runAsyncToolAction(job, action, args, agentId) {
+  if (job.status === 'cancelled') return;
+  const controller = new AbortController();
+  const operation = {
+    signal: controller.signal,
+    jobId: job.id,
+    missionId: job.mission_id,
+    correlationId: job.correlation_id
+  };
+  let markSettled;
+  const settled = new Promise((resolve) => {
+    markSettled = resolve;
+  });
+  activeJobs.set(job.id, { controller, operation, settled });
+
+  job.status = 'running';
+  job.progress = JobStore.buildProgress(20, `${action} started`);
+  jobStore.save(job);
+  try {
+    const method = ACTION_TO_HANDLER[action];
+    if (!method || typeof streamRuntime[method] !== 'function') {
+      throw new Error(`No handler mapped for action "${action}"`);
+    }
+
+    const response = await withRetry(
+      async () => {
+        job.progress = JobStore.buildProgress(45, `${action} in progress`);
+        jobStore.save(job);
+        const started = Date.now();
+        try {
+          return await streamRuntime[method](agentId, args, operation);
+        } finally {
+          if (Date.now() - started > 0 && action === 'twitch.start_stream' && !controller.signal.aborted) {
+            job.progress = JobStore.buildProgress(70, 'stream state updated');
+            jobStore.save(job);
+          }
+        }
+      },
+      {
+        retries: 0,
+        delayMs: 400,
+        label: `retry ${action}`,
+        signal: controller.signal
+      }
+    );
+
+    if (response?.status === 'failed') {
+      throw new Error(response.error || 'tool action failed');
+    }
+
+    job.status = 'done';
+    job.result = {
+      status: response?.status || 'done',
+      request_id: job.request_id,
+      action_response: response
+    };
+    if (response && 'obs_live' in response) {
+      job.result.obs_live = response.obs_live;
+      job.result.twitch_live = response.twitch_live;
+    }
+    if (response?.quality) {
+      job.result.quality = response.quality;
+    }
+    if (response && 'output_path' in response) {
+      job.result.output_path = response.output_path;
+    }
+    job.progress = JobStore.buildProgress(100, `${action} finished`);
+    job.updated_at = nowIso();
+  } catch (error) {
+    if (controller.signal.aborted) {
+      JobStore.cancelJob(job, job.cancel?.reason);
+    } else {
+      JobStore.failJob(job, error);
+    }
+  } finally {
+    activeJobs.delete(job.id);
+  }
+  jobStore.save(job);
+  markSettled(job);
+
+  if (job.status === 'cancelled' && job.cancel?.rollback) {
+    await rollbackCancelledJob(job, agentId, operation);
+  }
+  deliverJobCallback(job).catch(() => {});
+}
+
+async function rollbackCancelledJob(job, agentId, operation) {
+  let rollback;
+  if (job.action !== 'twitch.start_stream') {
+    rollback = { status: 'skipped', reason: `rollback is not supported for ${job.action}` };
+  } else {
+    try {
+      rollback = await streamRuntime.rollbackStart(agentId, job.args, operation);
+    } catch (error) {
+      rollback = { status: 'failed', error: String(error?.message || error) };
+    }
+  }
+  job.result = {
+    ...job.result,
+    rollback: {
+      ...rollback,
+      finished_at: nowIso()
     }
+  };
+  jobStore.save(job, { publish: false });
+  return rollback;
+}
 
-    const state = lastState?.outputState || (targetActive ? 'started' : 'stopped');
-    throw new Error(`timed out while waiting for OBS to ${actionLabel} (state=${state})`);
+async function postJobCallback(job, attempt) {
+  const body = Buffer.from(JSON.stringify({ ok: job.status === 'done', job }));
+  const headers = {
+    'content-type': 'application/json',
+    'x-tool-job-id': job.id,
+    'x-tool-delivery-attempt': String(attempt)
+  };
+  if (TOOL_SIGNING_SECRET) {
+    headers['x-tool-signature'] = `sha256=${signPayload(body)}`;
   }
 
-  async setScene(sceneName) {
-    if (!sceneName) return;
-    try {
-      await this.call('SetCurrentProgramScene', { sceneName });
-    } catch (error) {
-      if (error?.code === '404' || /No scene/.test(error?.message || '')) {
-        throw new Error(`obs scene not found: ${sceneName}`);
-      }
+  const controller = new AbortController();
+  const timer = setTimeout(() => {
+    controller.abort('callback-timeout');
+  }, isFiniteNumber(CALLBACK_TIMEOUT_MS, 10000));
+  try {
+    const response = await fetch(job.callback.url, {
+      method: 'POST',
+      headers,
+      body,
+      signal: controller.signal,
+      redirect: 'manual'
+    });
+    await response.arrayBuffer().catch(() => null);
+    if (!response.ok) {
+      const error = new Error(`callback responded with HTTP ${response.status}`);
+      error.status = response.status;
       throw error;
     }
+    return response.status;
+  } finally {
+    clearTimeout(timer);
   }
+}
 
-  async startStream(args = {}) {
-    await this.setScene(args.obs_scene || OBS_STREAM_SCENE);
-    const before = await this.getStreamState();
-    if (before.active) {
-      return {
-        status: 'already_running',
-        stream: before
-      };
-    }
+async function deliverJobCallback(job) {
+  if (!job?.callback?.url || job.callback.status !== 'pending') return;
+
+  try {
     await withRetry(
       async () => {
-        await this.call('StartStream');
+        const startedAt = Date.now();
+        const record = {
+          attempt: job.callback.attempts.length + 1,
+          at: nowIso()
+        };
+        try {
+          record.status_code = await postJobCallback(job, record.attempt);
+          return record.status_code;
+        } catch (error) {
+          record.status_code = error?.status || null;
+          record.error = String(error?.message || error);
+          throw error;
+        } finally {
+          record.duration_ms = Date.now() - startedAt;
+          job.callback.attempts.push(record);
+          jobStore.save(job, { publish: false });
+        }
       },
       {
-        retries: OBS_OPERATION_RETRIES,
-        delayMs: 500,
-        label: 'obs start'
+        retries: isFiniteNumber(CALLBACK_RETRIES, 4),
+        delayMs: 1000,
+        label: 'job callback'
       }
     );
-    const after = await this.ensureStreamState(true, 'start');
-    return {
-      status: 'running',
-      stream: after
-    };
+    job.callback.status = 'delivered';
+  } catch (error) {
+    job.callback.status = 'failed';
+    job.callback.error = String(error?.message || error);
   }
+  job.callback.finished_at = nowIso();
+  jobStore.save(job, { publish: false });
+}
 
-  async stopStream() {
-    const before = await this.getStreamState();
-    if (!before.active) {
-      return {
-        status: 'already_stopped',
-        stream: before
-      };
+function parseLastEventId(req) {
+  const raw = req.get('last-event-id') || req.query.last_event_id || '';
+  const parsed = Number.parseInt(String(raw), 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : 0;
+}
+
+function jobEventPayload(entry) {
+  return entry.event === 'progress' ? jobSummary(entry.job) : entry.job;
+}
+
+function openJobEventStream(req, res, { lastEventId, predicate, replay = [], closeOnTerminal = false }) {
+  res.status(200).set({
+    'content-type': 'text/event-stream',
+    'cache-control': 'no-cache',
+    connection: 'keep-alive',
+    'x-accel-buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 2000\n\n');
+
+  let sentId = lastEventId;
+  let closed = false;
+  const heartbeat = setInterval(() => {
+    res.write(': keepalive\n\n');
+  }, isFiniteNumber(SSE_HEARTBEAT_MS, 15000));
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    jobStore.off('event', onEvent);
+    res.end();
+  };
+
+  function send(entry) {
+    if (closed || entry.id <= sentId) return;
+    sentId = entry.id;
+    res.write(`id: ${entry.id}\nevent: ${entry.event}\ndata: ${JSON.stringify(jobEventPayload(entry))}\n\n`);
+    if (closeOnTerminal && entry.event !== 'progress') {
+      close();
     }
+  }
 
-    await withRetry(
-      async () => {
-        await this.call('StopStream');
-      },
-      {
-        retries: OBS_OPERATION_RETRIES,
-        delayMs: 500,
-        label: 'obs stop'
+  function onEvent(entry) {
+    if (predicate(entry.job)) send(entry);
+  }
+
+  jobStore.on('event', onEvent);
+  req.on('close', close);
+  for (const entry of replay) {
+    send(entry);
+  }
+}
+
+function policyDenied(policyDecision) {
+  return {
+    ok: false,
+    policyDecision,
+    status: 403,
+    body: {
+      ok: false,
+      error: `policy denied: ${policyDecision.reason}`,
+      policy: {
+        rule: policyDecision.rule,
+        reason: policyDecision.reason
       }
-    );
+    }
+  };
+}
 
-    const after = await this.ensureStreamState(false, 'stop');
-    return {
-      status: 'stopped',
-      stream: after
-    };
+function obsTargetDenied(policyDecision, obsTargets) {
+  return {
+    ok: false,
+    policyDecision,
+    status: 403,
+    body: { ok: false, error: 'obs_target_not_allowed', message: obsTargets.reason }
+  };
+}
+
+function preauthorizeToolAction(normalized, at = Date.now()) {
+  try {
+    streamRuntime.resolveChannel(normalized.args.channel);
+  } catch (error) {
+    return { ok: false, status: 400, body: { ok: false, error: error.message } };
   }
+  const policyDecision = actionPolicy.evaluate(normalized, new Date(at));
+  if (!policyDecision.allowed) {
+    return policyDenied(policyDecision);
+  }
+  const obsTargets = streamRuntime.checkObsTargets(normalized.action, normalized.args);
+  if (!obsTargets.ok) {
+    return obsTargetDenied(policyDecision, obsTargets);
+  }
+  return { ok: true, policyDecision };
 }
 
-class TwitchStreamRuntime {
-  constructor() {
-    this.sessions = new Map();
-    this.obs = new OBSStreamController();
-    this.twitch = new TwitchApiClient();
-    this.jobLock = new Map();
+async function authorizeToolAction(normalized) {
+  let channel;
+  try {
+    channel = streamRuntime.resolveChannel(normalized.args.channel).name;
+  } catch (error) {
+    return { ok: false, status: 400, body: { ok: false, error: error.message } };
   }
 
-  _getSession(agentId) {
-    if (!agentId || typeof agentId !== 'string') {
-      return null;
-    }
-    return this.sessions.get(agentId) || {
-      state: 'idle',
-      metadata: {},
-      updated_at: nowIso()
+  const policyDecision = actionPolicy.evaluate(normalized);
+  if (!policyDecision.allowed) {
+    return policyDenied(policyDecision);
+  }
+  const obsTargets = streamRuntime.checkObsTargets(normalized.action, normalized.args);
+  if (!obsTargets.ok) {
+    return obsTargetDenied(policyDecision, obsTargets);
+  }
+  let scopeCheck;
+  try {
+    scopeCheck = await streamRuntime.checkScopes(normalized.action, normalized.args);
+  } catch (error) {
+    logger.warn('twitch scope check failed', { action: normalized.action, channel, error });
+    return {
+      ok: false,
+      policyDecision,
+      status: 503,
+      body: {
+        ok: false,
+        error: 'scope_check_failed',
+        message: `could not verify twitch token scopes for ${normalized.action}: ${error?.message || error}`
+      }
     };
   }
-
-  _setSession(agentId, session) {
-    const next = {
-      ...session,
-      updated_at: nowIso()
+  if (!scopeCheck.ok) {
+    return {
+      ok: false,
+      policyDecision,
+      status: 403,
+      body: {
+        ok: false,
+        error: 'missing_scopes',
+        message: `twitch token is missing scopes required by ${normalized.action}: ${scopeCheck.missing_scopes.join(', ')}`,
+        required_scopes: scopeCheck.required_scopes,
+        missing_scopes: scopeCheck.missing_scopes
+      }
     };
-    this.sessions.set(agentId, next);
-    return next;
   }
-
-  async _withActionLock(agentId, action) {
-    const prior = this.jobLock.get(agentId) || Promise.resolve();
-    let release = null;
-    const next = prior.then(async () => {
-      try {
-        return await action();
-      } finally {
-        if (this.jobLock.get(agentId) === next) {
-          this.jobLock.delete(agentId);
-        }
+  const rateLimit = actionRateLimiter.take(normalized.action, normalized.agent_id, channel);
+  if (!rateLimit.allowed) {
+    metrics.rateLimited.inc({ action: normalized.action });
+    return {
+      ok: false,
+      policyDecision,
+      rateLimit,
+      status: 429,
+      body: {
+        ok: false,
+        error: 'rate limit exceeded for action',
+        scope: rateLimit.scope,
+        retry_after_ms: rateLimit.retry_after_ms
       }
-    });
-    release = next;
-    this.jobLock.set(agentId, next);
-    return next;
+    };
   }
+  return { ok: true, policyDecision, rateLimit };
+}
 
-  async _setMetadata(channel, metadata) {
-    if (!this.twitch.isConfigured()) {
-      return {
-        status: 'skipped',
-        reason: 'twitch metadata update skipped: missing twitch credentials'
-      };
-    }
-
-    const hasMetadata = Boolean(metadata?.title || metadata?.game || metadata?.game_id);
-    if (!hasMetadata) {
-      return {
-        status: 'skipped',
-        reason: 'no metadata provided'
-      };
-    }
-
-    return this.twitch.setChannelMetadata({
-      channel,
-      title: metadata.title,
-      game: metadata.game,
-      game_id: metadata.game_id
-    });
+async function forwardChatCommand(job, webhook, payload) {
+  job.status = 'running';
+  job.progress = JobStore.buildProgress(20, 'forwarding chat command');
+  jobStore.save(job);
+  const body = Buffer.from(JSON.stringify({ ...payload, job_id: job.id }));
+  const headers = {
+    'content-type': 'application/json',
+    'x-tool-job-id': job.id
+  };
+  if (TOOL_SIGNING_SECRET) {
+    headers['x-tool-signature'] = `sha256=${signPayload(body)}`;
   }
 
-  async startStream(agentId, args = {}) {
-    return this._withActionLock(agentId, async () => {
-      const session = this._getSession(agentId);
-      if (session.state === 'starting') {
-        return {
-          status: 'running',
-          reason: 'start already in progress for this agent'
-        };
+  try {
+    const statusCode = await withTimeout('chat command webhook', async () => {
+      const response = await fetch(webhook, { method: 'POST', headers, body, redirect: 'manual' });
+      await response.arrayBuffer().catch(() => null);
+      if (!response.ok) {
+        const error = new Error(`webhook responded with HTTP ${response.status}`);
+        error.result = { status_code: response.status };
+        throw error;
       }
+      return response.status;
+    }, isFiniteNumber(CALLBACK_TIMEOUT_MS, 10000));
+    JobStore.completeJob(job, { status: 'forwarded', status_code: statusCode });
+  } catch (error) {
+    JobStore.failJob(job, error);
+  }
+  jobStore.save(job);
+}
 
-      session.state = 'starting';
-      this._setSession(agentId, session);
+async function routeChatCommand(channel, message) {
+  const identity = await streamRuntime.resolveChannel(channel).twitch.validateIdentity().catch(() => null);
+  const decision = chatCommandRouter.evaluate(channel, message, { senderId: identity?.user_id });
+  if (!decision || decision.skipped) return null;
 
-      try {
-        const metadata = await this._setMetadata(args.channel, {
-          title: args.title,
-          game: args.game,
-          game_id: args.game_id
-        });
+  const { command } = decision;
+  const source = {
+    type: 'chat',
+    channel,
+    command: command.id,
+    message_id: message.id,
+    user: { id: message.author?.id || null, login: message.author?.login || null }
+  };
+  const requestId = JobStore.normalizeId(`chat_${message.id}`, 'req');
+  const idempotencyKey = `${command.action || 'chat.forward_command'}:${requestId}`;
+  if (jobStore.findByIdempotencyKey(idempotencyKey)) return null;
 
-        const result = await withTimeout('start stream', () => this.obs.startStream(args), OBS_OPERATION_TIMEOUT_MS);
-        const mergedState = {
-          ...result,
-          channel: args.channel,
-          metadata
-        };
-        session.state = 'running';
-        session.metadata = {
-          ...(session.metadata || {}),
-          channel: args.channel,
-          title: args.title || session.metadata?.title || null,
-          game: args.game || session.metadata?.game || null,
-          game_id: args.game_id || session.metadata?.game_id || null,
-          stream_started_at: nowIso()
-        };
-        this._setSession(agentId, session);
-        return mergedState;
-      } catch (error) {
-        session.state = 'failed';
-        this._setSession(agentId, session);
-        throw error;
-      }
+  if (command.webhook) {
+    const job = JobStore.createJob({
+      action: 'chat.forward_command',
+      requestId,
+      agentId: command.agentId,
+      missionId: command.missionId,
+      correlationId: message.id,
+      args: { channel, command: command.id, text: message.text },
+      source
+    });
+    jobStore.add(job, idempotencyKey);
+    await forwardChatCommand(job, command.webhook, {
+      channel,
+      command: command.id,
+      variables: decision.variables,
+      message
     });
+    return job;
   }
 
-  async stopStream(agentId, args = {}) {
-    return this._withActionLock(agentId, async () => {
-      const session = this._getSession(agentId);
-      if (session.state === 'stopping') {
-        return {
-          status: 'stopped',
-          reason: 'stop already in progress for this agent'
-        };
-      }
+  const payload = {
+    request_id: requestId,
+    agent_id: command.agentId,
+    action: command.action,
+    args: { ...decision.args, channel },
+    mission_id: command.missionId,
+    correlation_id: message.id
+  };
+  const validated = validateActionPayload(payload);
+  const job = JobStore.createJob({
+    action: command.action,
+    requestId,
+    agentId: command.agentId,
+    missionId: command.missionId,
+    correlationId: message.id,
+    args: validated.ok ? validated.normalized.args : payload.args,
+    source
+  });
+  const admission = validated.ok
+    ? await authorizeToolAction(validated.normalized)
+    : { ok: false, body: { error: validated.error } };
+  jobStore.add(job, idempotencyKey);
+  if (!admission.ok) {
+    JobStore.failJob(job, admission.body.message || admission.body.error);
+    jobStore.save(job);
+    return job;
+  }
+  actionPolicy.recordUsage(admission.policyDecision);
+  await executeAsyncToolAction(job, command.action, job.args, command.agentId);
+  return job;
+}
 
-      session.state = 'stopping';
-      this._setSession(agentId, session);
+function handleStreamInterrupted({ channel, session, reason }) {
+  if (!streamWatchdog.enabled) return;
+  const incident = streamWatchdog.open(channel, session, reason);
+  if (!incident) return;
+  logger.warn('stream dropped, recovering', {
+    channel,
+    reason,
+    incident_id: incident.id,
+    agent_id: incident.agent_id,
+    mission_id: incident.mission_id
+  });
+  if (streamWatchdog.chatNotice) {
+    streamRuntime.postChatMessage(incident.agent_id, { channel, message: streamWatchdog.chatNotice })
+      .then(() => {
+        incident.notice = 'sent';
+      })
+      .catch((error) => {
+        incident.notice = `failed: ${error.message}`;
+      });
+  }
+  scheduleStreamRecovery(incident);
+}
 
-      try {
-        const result = await withTimeout('stop stream', () => this.obs.stopStream(), OBS_OPERATION_TIMEOUT_MS);
-        session.state = 'stopped';
-        session.stream_stopped_at = nowIso();
-        this._setSession(agentId, session);
-        return result;
-      } catch (error) {
-        session.state = 'failed';
-        this._setSession(agentId, session);
-        throw error;
-      }
+function scheduleStreamRecovery(incident) {
+  if (incident.attempts >= streamWatchdog.maxAttempts) {
+    streamWatchdog.close(incident, 'exhausted');
+    logger.error('stream recovery gave up', {
+      channel: incident.channel,
+      incident_id: incident.id,
+      attempts: incident.attempts,
+      error: incident.last_error
     });
+    return;
   }
+  const delay = streamWatchdog.delayFor(incident);
+  incident.status = 'waiting';
+  incident.next_attempt_at = new Date(Date.now() + delay).toISOString();
+  incident.timer = setTimeout(() => {
+    incident.timer = null;
+    attemptStreamRecovery(incident).catch((error) => {
+      streamWatchdog.close(incident, 'exhausted', String(error?.message || error));
+    });
+  }, delay);
+  incident.timer.unref?.();
+}
 
-  async setTitle(agentId, args = {}) {
-    return this._withActionLock(agentId, () =>
-      withTimeout(
-        'set_title',
-        () => this.twitch.setTitle(args),
-        OBS_OPERATION_TIMEOUT_MS
-      )
-    );
+async function attemptStreamRecovery(incident) {
+  const session = streamRuntime._getSession(incident.agent_id, incident.channel);
+  if (session.state === 'running') {
+    streamWatchdog.close(incident, 'recovered');
+    return;
+  }
+  if (!['interrupted', 'failed'].includes(session.state)) {
+    streamWatchdog.close(incident, 'abandoned', `session is ${session.state}`);
+    return;
   }
 
-  async setGame(agentId, args = {}) {
-    return this._withActionLock(agentId, () =>
-      withTimeout(
-        'set_game',
-        () => this.twitch.setGame(args),
-        OBS_OPERATION_TIMEOUT_MS
-      )
-    );
+  incident.attempts += 1;
+  incident.status = 'recovering';
+  incident.next_attempt_at = null;
+  const requestId = JobStore.normalizeId(`recover_${incident.id}_${incident.attempts}`, 'req');
+  const payload = {
+    request_id: requestId,
+    agent_id: incident.agent_id,
+    action: 'twitch.start_stream',
+    args: incident.args,
+    mission_id: incident.mission_id || undefined,
+    correlation_id: incident.correlation_id || undefined
+  };
+  const validated = validateActionPayload(payload);
+  const job = JobStore.createJob({
+    action: 'twitch.start_stream',
+    requestId,
+    agentId: incident.agent_id,
+    missionId: incident.mission_id,
+    correlationId: incident.correlation_id,
+    args: validated.ok ? validated.normalized.args : payload.args,
+    source: {
+      type: 'recovery',
+      channel: incident.channel,
+      incident_id: incident.id,
+      attempt: incident.attempts,
+      reason: incident.reason,
+      original_job_id: incident.original_job_id
+    }
+  });
+  const admission = validated.ok
+    ? await authorizeToolAction(validated.normalized)
+    : { ok: false, body: { error: validated.error } };
+  jobStore.add(job, `twitch.start_stream:${requestId}`);
+  incident.jobs.push(job.id);
+  if (!admission.ok) {
+    const error = admission.body.message || admission.body.error;
+    JobStore.failJob(job, error);
+    jobStore.save(job);
+    if (admission.status === 429 || admission.status === 503) {
+      incident.last_error = error;
+      scheduleStreamRecovery(incident);
+      return;
+    }
+    streamWatchdog.close(incident, 'exhausted', error);
+    return;
   }
+  actionPolicy.recordUsage(admission.policyDecision);
+  await executeAsyncToolAction(job, 'twitch.start_stream', job.args, incident.agent_id);
 
-  async postChatMessage(agentId, args = {}) {
-    return this._withActionLock(agentId, () =>
-      withTimeout(
-        'post_chat_message',
-        () => this.twitch.sendChatMessage(args),
-        OBS_OPERATION_TIMEOUT_MS
-      )
-    );
+  if (job.status === 'done') {
+    streamWatchdog.close(incident, 'recovered');
+    logger.info('stream recovered', {
+      channel: incident.channel,
+      incident_id: incident.id,
+      attempts: incident.attempts
+    });
+    return;
   }
+  incident.last_error = job.result?.error || job.status;
+  if (job.status === 'cancelled') {
+    streamWatchdog.close(incident, 'abandoned');
+    return;
+  }
+  scheduleStreamRecovery(incident);
+}
 
-  async createClip(agentId, args = {}) {
-    return this._withActionLock(agentId, () =>
-      withTimeout(
-        'create_clip',
-        () => this.twitch.createClip(args),
-        OBS_OPERATION_TIMEOUT_MS
-      )
-    );
+async function runBatchStep(batch, step, spec, kind, { signal, onStart } = {}) {
+  const requestId = JobStore.normalizeId(
+    kind === 'compensation' ? `${batch.request_id}.${step.id}.undo` : `${batch.request_id}.${step.id}`,
+    'req'
+  );
+  const child = JobStore.createJob({
+    action: spec.action,
+    requestId,
+    agentId: batch.agent_id,
+    missionId: batch.mission_id,
+    correlationId: batch.correlation_id,
+    args: spec.args,
+    source: { type: 'batch', batch_id: batch.id, step: step.id, kind }
+  });
+  const admission = await authorizeToolAction({
+    request_id: requestId,
+    agent_id: batch.agent_id,
+    action: spec.action,
+    args: spec.args,
+    mission_id: batch.mission_id,
+    correlation_id: batch.correlation_id
+  });
+  jobStore.add(child, `${spec.action}:${requestId}`);
+  if (!admission.ok) {
+    JobStore.failJob(child, admission.body.message || admission.body.error);
+    jobStore.save(child);
+    return child;
   }
+  if (signal?.aborted) {
+    JobStore.cancelJob(child, batch.cancel?.reason);
+    jobStore.save(child);
+    return child;
+  }
+  actionPolicy.recordUsage(admission.policyDecision);
+  onStart?.(child);
+  await executeAsyncToolAction(child, spec.action, child.args, batch.agent_id);
+  return child;
 }
 
-const streamRuntime = new TwitchStreamRuntime();
+function recordBatchStep(target, child) {
+  target.job_id = child.id;
+  target.status = child.status;
+  target.error = child.result?.error || null;
+  target.finished_at = nowIso();
+}
 
-async function executeAsyncToolAction(job, action, args, agentId) {
-  job.status = 'running';
-  job.progress = JobStore.buildProgress(20, `${action} started`);
-  try {
-    const method = ACTION_TO_HANDLER[action];
-    if (!method || typeof streamRuntime[method] !== 'function') {
-      throw new Error(`No handler mapped for action "${action}"`);
+async function runBatchJob(job) {
+  const controller = new AbortController();
+  let markSettled;
+  const settled = new Promise((resolve) => {
+    markSettled = resolve;
+  });
+  // The cancel is answered here; the batch turns `cancelled` only once any
+  // rollback has finished, so it publishes a single terminal event.
+  const markCancelling = () => {
+    if (!JobStore.isTerminal(job)) {
+      job.status = 'cancelling';
+      job.progress = JobStore.buildProgress(90, 'cancelling');
+      jobStore.save(job);
+    }
+    markSettled(job);
+  };
+  let current = null;
+  let compensating = false;
+  let cancelled = false;
+  controller.signal.addEventListener('abort', () => {
+    const active = current && activeJobs.get(current.id);
+    if (compensating) {
+      markSettled(job);
+      return;
+    }
+    cancelled = true;
+    if (!active) {
+      markCancelling();
+      return;
     }
+    current.cancel = {
+      requested_at: nowIso(),
+      reason: job.cancel?.reason || 'batch cancelled',
+      rollback: Boolean(job.cancel?.rollback)
+    };
+    active.controller.abort(createCancelError(current.cancel.reason));
+    active.settled.then(markCancelling);
+  });
+  activeJobs.set(job.id, { controller, operation: { signal: controller.signal, jobId: job.id }, settled });
 
-    const response = await withRetry(
-      async () => {
-        job.progress = JobStore.buildProgress(45, `${action} in progress`);
-        const started = Date.now();
-        try {
-          return await streamRuntime[method](agentId, args);
-        } finally {
-          if (Date.now() - started > 0 && action === 'twitch.start_stream') {
-            job.progress = JobStore.buildProgress(70, 'stream state updated');
-          }
+  try {
+    const specs = job.args.steps;
+    job.status = 'running';
+    job.progress = JobStore.buildProgress(10, 'batch started');
+    jobStore.save(job);
+
+    let failed = null;
+    for (const [index, step] of job.steps.entries()) {
+      if (controller.signal.aborted || (failed && job.args.on_error === 'stop')) {
+        step.status = 'skipped';
+        continue;
+      }
+      step.status = 'running';
+      step.started_at = nowIso();
+      job.progress = JobStore.buildProgress(
+        10 + Math.round((80 * index) / job.steps.length),
+        `step ${index + 1}/${job.steps.length}: ${step.action}`
+      );
+      jobStore.save(job);
+
+      const child = await runBatchStep(job, step, specs[index], 'step', {
+        signal: controller.signal,
+        onStart: (started) => {
+          current = started;
         }
-      },
-      {
-        retries: 0,
-        delayMs: 400,
-        label: `retry ${action}`
+      });
+      current = null;
+      recordBatchStep(step, child);
+      jobStore.save(job);
+      if (child.status !== 'done') {
+        failed = failed || step;
       }
-    );
+    }
 
-    if (response?.status === 'failed') {
-      throw new Error(response.error || 'tool action failed');
+    compensating = true;
+    if ((failed && job.args.on_error === 'stop' && !cancelled) || (cancelled && job.cancel?.rollback)) {
+      job.progress = JobStore.buildProgress(90, 'compensating');
+      jobStore.save(job);
+      for (let index = job.steps.length - 1; index >= 0; index -= 1) {
+        const step = job.steps[index];
+        if (step.status !== 'done' || !step.compensation) continue;
+        const child = await runBatchStep(job, step, specs[index].compensate, 'compensation');
+        recordBatchStep(step.compensation, child);
+        jobStore.save(job);
+      }
     }
 
-    job.status = 'done';
-    job.result = {
-      status: response?.status || 'done',
-      request_id: job.request_id,
-      action_response: response
-    };
-    job.progress = JobStore.buildProgress(100, `${action} finished`);
-    job.updated_at = nowIso();
+    const counts = {};
+    for (const step of job.steps) {
+      counts[step.status] = (counts[step.status] || 0) + 1;
+    }
+    job.result = { ...job.result, steps: counts };
+    if (cancelled) {
+      JobStore.cancelJob(job, job.cancel?.reason);
+    } else if (failed) {
+      JobStore.failJob(job, `step "${failed.id}" failed: ${failed.error || failed.status}`);
+    } else {
+      JobStore.completeJob(job, {}, 'done');
+    }
   } catch (error) {
-    JobStore.failJob(job, error);
+    if (cancelled) {
+      JobStore.cancelJob(job, job.cancel?.reason);
+    } else {
+      JobStore.failJob(job, error);
+    }
+  } finally {
+    activeJobs.delete(job.id);
+    jobStore.save(job);
+    markSettled(job);
+    deliverJobCallback(job).catch(() => {});
+  }
+}
+
+async function fireScheduledJob(job) {
+  const missed = actionScheduler.isMissed(job);
+  job.status = 'queued';
+  job.progress = JobStore.buildProgress(5, 'queued');
+  jobStore.save(job);
+
+  const nextSchedule = ActionScheduler.nextOccurrence(job);
+  if (nextSchedule) {
+    const next = JobStore.createJob({
+      action: job.action,
+      requestId: job.request_id,
+      agentId: job.agent_id,
+      missionId: job.mission_id,
+      correlationId: job.correlation_id,
+      args: job.args,
+      callbackUrl: job.callback?.url,
+      schedule: nextSchedule
+    });
+    jobStore.add(next);
+  }
+
+  if (missed) {
+    JobStore.failJob(job, `missed scheduled time ${job.schedule.run_at}`);
+    jobStore.save(job);
+    return;
+  }
+  const admission = await authorizeToolAction({
+    request_id: job.request_id,
+    agent_id: job.agent_id,
+    action: job.action,
+    args: job.args,
+    mission_id: job.mission_id,
+    correlation_id: job.correlation_id
+  });
+  if (job.status === 'cancelled') return;
+  if (!admission.ok) {
+    JobStore.failJob(job, admission.body.message || admission.body.error);
+    jobStore.save(job);
+    return;
   }
+  actionPolicy.recordUsage(admission.policyDecision);
+  await executeAsyncToolAction(job, job.action, job.args, job.agent_id);
 }
 
 function createSyncResult(action, args, agentId) {
@@ -1067,9 +5981,83 @@ app.use(express.json({
     req.rawBody = buf;
   }
 }));
+
+app.use((req, res, next) => {
+  const inbound = String(req.get('x-correlation-id') || '').trim();
+  const bodyCorrelationId = String(normalizeBody(req.body).correlation_id || '').trim();
+  let correlationId = `corr_${crypto.randomBytes(8).toString('hex')}`;
+  if (CORRELATION_ID_PATTERN.test(inbound)) {
+    correlationId = inbound;
+    req.inboundCorrelationId = inbound;
+  } else if (CORRELATION_ID_PATTERN.test(bodyCorrelationId)) {
+    correlationId = bodyCorrelationId;
+  }
+  res.set('x-correlation-id', correlationId);
+
+  const context = { correlation_id: correlationId };
+  const startedAt = Date.now();
+  res.on('finish', () => {
+    let level = 'info';
+    if (res.statusCode >= 500) {
+      level = 'error';
+    } else if (req.path === '/health' || req.path === '/metrics') {
+      level = 'debug';
+    }
+    logger.log(level, 'request', {
+      ...context,
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      duration_ms: Date.now() - startedAt
+    });
+  });
+  logContext.run(context, next);
+});
+
 app.use(requireToken);
+
+// Registered ahead of requireSignature: scrapers can send a bearer token but
+// cannot sign requests.
+app.get('/metrics', (_req, res) => {
+  res.type('text/plain; version=0.0.4').send(metricsRegistry.render());
+});
+
 app.use(requireSignature);
 
+function channelHealth(backend) {
+  return {
+    name: backend.name,
+    default: backend.name === streamRuntime.defaultChannel,
+    obs: {
+      configured: backend.obs.isConfigured(),
+      url: backend.obs.wsUrl || null,
+      default_scene: backend.obs.defaultScene || null,
+      connected: backend.obs.connected || false,
+      connection: backend.obs.connectionStatus(),
+      last_reconcile: backend.lastReconcile,
+      scene_allowlist: backend.obs.sceneAllowlist,
+      source_allowlist: backend.obs.sourceAllowlist
+    },
+    twitch: {
+      configured: backend.twitch.isConfigured(),
+      broadcaster_login: backend.twitch.defaultBroadcasterLogin || null,
+      broadcaster_id: backend.twitch.defaultBroadcasterId || null,
+      token: backend.twitch.tokenStatus(),
+      helix_rate_limit: backend.twitch.rateLimiter.status(),
+      eventsub: backend.eventsub.status()
+    },
+    chat: {
+      ingesting: backend.eventsub.subscriptions.has('channel.chat.message'),
+      ...backend.chat.status()
+    },
+    stream_health: {
+      status: backend.health.status,
+      sampled_at: backend.health.lastSampledAt
+    },
+    recovery: streamWatchdog.status(backend.name)
+  };
+}
+
 app.get('/health', (_req, res) => {
   const obsConfigured = Boolean(OBSWebSocket);
   res.json({
@@ -1077,34 +6065,428 @@ app.get('/health', (_req, res) => {
     service: 'twitch-clawcraft',
     obs: {
       configured: obsConfigured,
-      url: OBS_WS_URL || null,
-      default_scene: OBS_STREAM_SCENE || null,
-      connected: streamRuntime?.obs?.connected || false
+      url: streamRuntime?.obs?.wsUrl || null,
+      default_scene: streamRuntime?.obs?.defaultScene || null,
+      connected: streamRuntime?.obs?.connected || false,
+      state: streamRuntime?.obs?.state || 'idle'
+    },
+    policy: {
+      enabled: actionPolicy.enabled,
+      source: actionPolicy.source,
+      rules: actionPolicy.rules.length
+    },
+    chat_commands: chatCommandRouter.status(),
+    audit: auditLog.status(),
+    rate_limits: actionRateLimiter.status(),
+    schedules: actionScheduler.status(),
+    jobs: {
+      store: JOB_STORE_DRIVER,
+      count: jobStore.count()
     },
     twitch: {
       configured: streamRuntime?.twitch?.isConfigured(),
-      default_channel: streamRuntime?.twitch?.defaultBroadcasterLogin || streamRuntime?.twitch?.defaultBroadcasterId
+      default_channel: streamRuntime?.twitch?.defaultBroadcasterLogin || streamRuntime?.twitch?.defaultBroadcasterId,
+      token: streamRuntime?.twitch?.tokenStatus(),
+      helix_rate_limit: streamRuntime?.twitch?.rateLimiter.status()
+    },
+    channels: {
+      source: streamRuntime.registrySource,
+      default: streamRuntime.defaultChannel,
+      entries: [...streamRuntime.channels.values()].map(channelHealth)
+    }
+  });
+});
+
+app.get('/preflight', async (req, res) => {
+  const channel = String(req.query.channel || '').trim();
+  try {
+    const report = await streamRuntime.preflight(channel);
+    return res.status(report.ok ? 200 : 503).json(report);
+  } catch (error) {
+    return res.status(error?.code === 'unknown_channel' ? 400 : 500).json({
+      ok: false,
+      error: String(error?.message || error)
+    });
+  }
+});
+
+app.get('/chat/:channel/messages', async (req, res) => {
+  const limit = req.query.limit === undefined ? CHAT_READ_DEFAULT_LIMIT : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > CHAT_READ_MAX_LIMIT) {
+    return res.status(400).json({ ok: false, error: `limit must be an integer between 1 and ${CHAT_READ_MAX_LIMIT}` });
+  }
+  const channel = req.params.channel.trim().toLowerCase();
+  try {
+    if (streamRuntime.resolveChannel(channel).name !== channel) {
+      throw new Error(`unknown channel "${channel}"`);
+    }
+  } catch (error) {
+    return res.status(404).json({ ok: false, error: error.message });
+  }
+  try {
+    const result = await streamRuntime.readChat(null, {
+      channel,
+      since: String(req.query.since || '').trim() || undefined,
+      limit
+    });
+    return res.json({ ok: true, ...result });
+  } catch (error) {
+    return res.status(503).json({ ok: false, error: String(error?.message || error) });
+  }
+});
+
+app.get('/streams/health', async (req, res) => {
+  const channel = String(req.query.channel || '').trim();
+  let backends;
+  try {
+    backends = channel ? [streamRuntime.resolveChannel(channel)] : [...streamRuntime.channels.values()];
+  } catch (error) {
+    return res.status(404).json({ ok: false, error: error.message });
+  }
+  const channels = [];
+  for (const backend of backends) {
+    const { health } = await streamRuntime.getStreamHealth(null, { channel: backend.name });
+    channels.push(health);
+  }
+  return res.json({ ok: true, channels });
+});
+
+function parseJobListQuery(query = {}) {
+  const text = (key) => String(query[key] || '').trim();
+  const filters = {
+    agentId: text('agent_id'),
+    missionId: text('mission_id'),
+    correlationId: text('correlation_id'),
+    action: text('action')
+  };
+
+  if (text('status')) {
+    filters.statuses = text('status').split(',').map((status) => status.trim()).filter(Boolean);
+    const unknown = filters.statuses.find((status) => !JOB_STATUSES.includes(status));
+    if (unknown) {
+      return { ok: false, error: `status must be one of ${JOB_STATUSES.join(', ')}` };
+    }
+  }
+
+  for (const [key, target] of [['created_after', 'createdAfter'], ['created_before', 'createdBefore']]) {
+    if (!text(key)) continue;
+    const parsed = Date.parse(text(key));
+    if (!Number.isFinite(parsed)) {
+      return { ok: false, error: `${key} must be an ISO-8601 timestamp` };
+    }
+    filters[target] = parsed;
+  }
+
+  let limit = JOB_LIST_DEFAULT_LIMIT;
+  if (text('limit')) {
+    limit = Number.parseInt(text('limit'), 10);
+    if (!Number.isFinite(limit) || limit < 1 || limit > JOB_LIST_MAX_LIMIT) {
+      return { ok: false, error: `limit must be between 1 and ${JOB_LIST_MAX_LIMIT}` };
+    }
+  }
+
+  let after = null;
+  if (text('cursor')) {
+    after = decodeJobCursor(text('cursor'));
+    if (!after) {
+      return { ok: false, error: 'cursor is invalid' };
+    }
+  }
+
+  return { ok: true, filters, page: { limit, after } };
+}
+
+function parseAuditQuery(query = {}) {
+  const text = (key) => String(query[key] || '').trim();
+  const filters = {};
+  for (const key of ['event', 'agent_id', 'action', 'mission_id', 'channel', 'status', 'job_id']) {
+    if (text(key)) filters[key] = text(key);
+  }
+
+  for (const key of ['since', 'until']) {
+    if (!text(key)) continue;
+    const parsed = Date.parse(text(key));
+    if (!Number.isFinite(parsed)) {
+      return { ok: false, error: `${key} must be an ISO-8601 timestamp` };
     }
+    filters[key] = parsed;
+  }
+
+  let limit = AUDIT_QUERY_DEFAULT_LIMIT;
+  if (text('limit')) {
+    limit = Number.parseInt(text('limit'), 10);
+    if (!Number.isFinite(limit) || limit < 1 || limit > AUDIT_QUERY_MAX_LIMIT) {
+      return { ok: false, error: `limit must be between 1 and ${AUDIT_QUERY_MAX_LIMIT}` };
+    }
+  }
+
+  let before = null;
+  if (text('cursor')) {
+    before = Number.parseInt(text('cursor'), 10);
+    if (!Number.isInteger(before) || before < 1) {
+      return { ok: false, error: 'cursor is invalid' };
+    }
+  }
+
+  return { ok: true, filters, page: { limit, before } };
+}
+
+app.get('/audit', (req, res) => {
+  const parsed = parseAuditQuery(req.query);
+  if (!parsed.ok) {
+    return res.status(400).json({ ok: false, error: parsed.error });
+  }
+  try {
+    return res.json({ ok: true, ...auditLog.query(parsed.filters, parsed.page) });
+  } catch (error) {
+    return res.status(500).json({ ok: false, error: String(error?.message || error) });
+  }
+});
+
+app.get('/audit/verify', (_req, res) => {
+  try {
+    const result = auditLog.verify();
+    return res.status(result.ok ? 200 : 409).json(result);
+  } catch (error) {
+    return res.status(500).json({ ok: false, error: String(error?.message || error) });
+  }
+});
+
+app.get('/tools/jobs', (req, res) => {
+  const parsed = parseJobListQuery(req.query);
+  if (!parsed.ok) {
+    return res.status(400).json({ ok: false, error: parsed.error });
+  }
+  const result = jobStore.query(parsed.filters, parsed.page);
+  return res.json({
+    ok: true,
+    jobs: result.jobs.map(jobListItem),
+    next_cursor: result.next_cursor
+  });
+});
+
+app.get('/tools/jobs/events', (req, res) => {
+  const agentId = String(req.query.agent_id || '').trim();
+  const missionId = String(req.query.mission_id || '').trim();
+  const predicate = (job) => (!agentId || job.agent_id === agentId)
+    && (!missionId || job.mission_id === missionId);
+  const lastEventId = parseLastEventId(req);
+
+  openJobEventStream(req, res, {
+    lastEventId,
+    predicate,
+    replay: lastEventId ? jobStore.eventsSince(lastEventId, predicate) : []
+  });
+});
+
+app.get('/tools/jobs/:id/events', (req, res) => {
+  const id = req.params.id;
+  const job = jobStore.get(id);
+  if (!job) {
+    return res.status(404).json({ ok: false, error: 'job not found' });
+  }
+
+  const predicate = (candidate) => candidate.id === id;
+  const lastEventId = parseLastEventId(req);
+  const replay = jobStore.eventsSince(lastEventId, predicate);
+  const latestId = replay.length > 0 ? replay[replay.length - 1].id : 0;
+  if ((job.event_seq || 0) > Math.max(lastEventId, latestId) || (!lastEventId && replay.length === 0)) {
+    replay.push({
+      id: job.event_seq || jobStore.sequence,
+      event: JobStore.isTerminal(job) ? job.status : 'progress',
+      job
+    });
+  }
+  if (replay.length === 0 && JobStore.isTerminal(job)) {
+    return res.status(204).end();
+  }
+
+  return openJobEventStream(req, res, {
+    lastEventId,
+    predicate,
+    replay,
+    closeOnTerminal: true
   });
 });
 
+app.post('/tools/jobs/:id/cancel', async (req, res) => {
+  const id = req.params.id;
+  const job = jobStore.get(id);
+  if (!job) {
+    return res.status(404).json({ ok: false, error: 'job not found' });
+  }
+
+  const body = normalizeBody(req.body);
+  if (body.rollback !== undefined && typeof body.rollback !== 'boolean') {
+    return res.status(400).json({ ok: false, error: 'rollback must be boolean' });
+  }
+  if (body.reason !== undefined && (typeof body.reason !== 'string' || body.reason.trim().length > 160)) {
+    return res.status(400).json({ ok: false, error: 'reason must be a string up to 160 chars' });
+  }
+
+  const reason = body.reason?.trim() || 'cancelled by request';
+  const active = activeJobs.get(id);
+  if (job.status === 'scheduled' || (job.status === 'queued' && !active)) {
+    job.cancel = { requested_at: nowIso(), reason, rollback: false };
+    JobStore.cancelJob(job, reason);
+    jobStore.save(job);
+    return res.status(202).json({ ok: true, job: jobSummary(job) });
+  }
+
+  if (!active || JobStore.isTerminal(job)) {
+    return res.status(409).json({
+      ok: false,
+      error: `job is not cancellable (status=${job.status})`,
+      job: jobSummary(job)
+    });
+  }
+
+  job.cancel = {
+    requested_at: nowIso(),
+    reason,
+    rollback: body.rollback === true
+  };
+  active.controller.abort(createCancelError(reason));
+  await active.settled;
+
+  return res.status(202).json({ ok: true, job: jobSummary(job) });
+});
+
 app.get('/tools/jobs/:id', (req, res) => {
   const id = req.params.id;
-  const job = jobs.get(id);
+  const job = jobStore.get(id);
   if (!job) {
     return res.status(404).json({ ok: false, error: 'job not found' });
   }
   return res.json({ ok: true, job });
 });
 
+app.post('/tools/batch', async (req, res) => {
+  const audit = { event: 'batch' };
+  auditOnResponse(req, res, audit);
+  const validated = validateBatchPayload(req.body || {});
+  if (!validated.ok) {
+    audit.error = validated.error;
+    return res.status(400).json({ ok: false, error: validated.error });
+  }
+  const batch = validated.normalized;
+  audit.normalized = {
+    request_id: batch.request_id,
+    agent_id: batch.agent_id,
+    mission_id: batch.mission_id,
+    action: 'tools.batch',
+    args: { on_error: batch.on_error, steps: batch.steps.map((step) => ({ id: step.id, action: step.normalized.action })) }
+  };
+  audit.requestId = batch.request_id;
+  Object.assign(logContext.getStore() || {}, {
+    request_id: batch.request_id,
+    agent_id: batch.agent_id,
+    mission_id: batch.mission_id || undefined,
+    action: 'tools.batch'
+  });
+
+  for (const step of batch.steps) {
+    for (const normalized of [step.normalized, step.compensate].filter(Boolean)) {
+      const admission = preauthorizeToolAction(normalized);
+      if (!admission.ok) {
+        audit.policy = admission.policyDecision;
+        audit.error = `step "${step.id}": ${admission.body.message || admission.body.error}`;
+        return res.status(admission.status).json({ ...admission.body, step: step.id });
+      }
+    }
+  }
+
+  const idempotencyKey = `tools.batch:${batch.request_id}`;
+  const existingJob = jobStore.findByIdempotencyKey(idempotencyKey);
+  if (existingJob) {
+    audit.status = 'duplicate';
+    audit.jobId = existingJob.id;
+    return res.status(202).json({ ok: true, action: 'tools.batch', result: jobSummary(existingJob) });
+  }
+
+  const job = JobStore.createJob({
+    action: 'tools.batch',
+    requestId: batch.request_id,
+    agentId: batch.agent_id,
+    missionId: batch.mission_id,
+    correlationId: batch.correlation_id || req.inboundCorrelationId || batch.mission_id,
+    args: {
+      on_error: batch.on_error,
+      steps: batch.steps.map((step) => ({
+        id: step.id,
+        action: step.normalized.action,
+        args: step.normalized.args,
+        compensate: step.compensate ? { action: step.compensate.action, args: step.compensate.args } : null
+      }))
+    },
+    callbackUrl: batch.callback_url
+  });
+  job.steps = batch.steps.map((step) => ({
+    id: step.id,
+    action: step.normalized.action,
+    status: 'pending',
+    job_id: null,
+    error: null,
+    compensation: step.compensate
+      ? { action: step.compensate.action, status: 'pending', job_id: null, error: null }
+      : null
+  }));
+  jobStore.add(job, idempotencyKey);
+  audit.status = 'accepted';
+  audit.jobId = job.id;
+
+  logContext.run(jobLogFields(job), () => runBatchJob(job)).catch((error) => {
+    JobStore.failJob(job, error);
+    jobStore.save(job);
+  });
+
+  return res.status(202).json({
+    ok: true,
+    action: 'tools.batch',
+    result: {
+      job_id: job.id,
+      status: job.status,
+      progress: job.progress,
+      request_id: batch.request_id,
+      steps: job.steps
+    }
+  });
+});
+
 app.post('/tools/execute', async (req, res) => {
+  const observe = metrics.executeDuration.startTimer({ action: metricActionLabel(req.body?.action) });
+  const audit = {};
+  auditOnResponse(req, res, audit);
+  res.on('finish', () => {
+    const labels = { action: metricActionLabel(req.body?.action), status: res.statusCode };
+    metrics.executeRequests.inc(labels);
+    observe(labels);
+  });
   const validated = validateActionPayload(req.body || {});
   if (!validated.ok) {
+    audit.error = validated.error;
     return res.status(400).json({ ok: false, error: validated.error });
   }
-  if (!canRunAction(validated.normalized.action)) {
-    return res.status(429).json({ ok: false, error: 'rate limit exceeded for action' });
+  audit.normalized = validated.normalized;
+  Object.assign(logContext.getStore() || {}, {
+    request_id: validated.normalized.request_id || undefined,
+    agent_id: validated.normalized.agent_id,
+    mission_id: validated.normalized.mission_id || undefined,
+    action: validated.normalized.action
+  });
+  const { schedule } = validated.normalized;
+  const admission = schedule
+    ? preauthorizeToolAction(validated.normalized, Date.parse(schedule.first_run_at))
+    : await authorizeToolAction(validated.normalized);
+  audit.policy = admission.policyDecision;
+  if (admission.rateLimit) {
+    setRateLimitHeaders(res, admission.rateLimit);
+  }
+  if (!admission.ok) {
+    audit.error = admission.body.message || admission.body.error;
+    return res.status(admission.status).json(admission.body);
   }
+  const { policyDecision } = admission;
 
   const action = validated.normalized.action;
   const args = validated.normalized.args;
@@ -1113,23 +6495,25 @@ app.post('/tools/execute', async (req, res) => {
     || validated.normalized.mission_id
     || validated.normalized.correlation_id
     || `${action}:${agentId}`;
+  const scheduleSeed = schedule ? `|${schedule.run_at}|${schedule.cron}` : '';
   const requestId = validated.normalized.request_id
     ? JobStore.normalizeId(validated.normalized.request_id, 'req')
     : `req_${crypto.createHash('sha1')
-      .update(`async|${idempotencySeed}|${action}|${agentId}`)
+      .update(`async|${idempotencySeed}|${action}|${agentId}${scheduleSeed}`)
       .digest('hex')
       .slice(0, 18)}`;
-  const correlationId = validated.normalized.correlation_id || validated.normalized.mission_id;
+  const correlationId = validated.normalized.correlation_id
+    || req.inboundCorrelationId
+    || validated.normalized.mission_id;
 
-  if (ASYNC_TOOL_ACTIONS.has(action)) {
+  if (schedule || ASYNC_TOOL_ACTIONS.has(action)) {
     const idempotencyKey = `${action}:${requestId}`;
-    const existingJobId = idempotency.get(idempotencyKey);
-    if (existingJobId) {
-      const existingJob = jobs.get(existingJobId);
-      if (existingJob) {
-        return res.status(202).json({ ok: true, action, result: jobSummary(existingJob) });
-      }
-      idempotency.delete(idempotencyKey);
+    const existingJob = jobStore.findByIdempotencyKey(idempotencyKey);
+    audit.requestId = requestId;
+    if (existingJob) {
+      audit.status = 'duplicate';
+      audit.jobId = existingJob.id;
+      return res.status(202).json({ ok: true, action, result: jobSummary(existingJob) });
     }
 
     const job = JobStore.createJob({
@@ -1138,12 +6522,22 @@ app.post('/tools/execute', async (req, res) => {
       agentId,
       missionId: validated.normalized.mission_id,
       correlationId,
-      args
+      args,
+      callbackUrl: validated.normalized.callback_url,
+      schedule: schedule && {
+        run_at: schedule.first_run_at,
+        cron: schedule.cron,
+        occurrence: 1
+      }
     });
-    jobs.set(job.id, job);
-    idempotency.set(idempotencyKey, job.id);
+    jobStore.add(job, idempotencyKey);
+    audit.status = 'accepted';
+    audit.jobId = job.id;
 
-    executeAsyncToolAction(job, action, args, agentId).catch(() => {});
+    if (!schedule) {
+      actionPolicy.recordUsage(policyDecision);
+      executeAsyncToolAction(job, action, args, agentId).catch(() => {});
+    }
 
     return res.status(202).json({
       ok: true,
@@ -1152,13 +6546,19 @@ app.post('/tools/execute', async (req, res) => {
         job_id: job.id,
         status: job.status,
         progress: job.progress,
-        request_id: requestId
+        request_id: requestId,
+        ...(job.schedule ? { schedule: job.schedule } : {})
       }
     });
   }
 
+  actionPolicy.recordUsage(policyDecision);
   try {
     const result = await createSyncResult(action, args, agentId);
+    audit.requestId = requestId;
+    audit.status = result.status === 'failed' ? 'failed' : 'done';
+    audit.error = result.error;
+    audit.sideEffects = result.status === 'failed' ? [] : auditSideEffects(action, args, result);
     return res.status(result.status === 'failed' ? 500 : 200).json({
       ok: result.status !== 'failed',
       action,
@@ -1168,6 +6568,8 @@ app.post('/tools/execute', async (req, res) => {
       }
     });
   } catch (error) {
+    audit.status = 'failed';
+    audit.error = String(error.message || error);
     return res.status(500).json({
       ok: false,
       action,
@@ -1176,20 +6578,111 @@ app.post('/tools/execute', async (req, res) => {
   }
 });
 
-setInterval(() => {
-  const now = Date.now();
-  for (const [id, job] of jobs) {
-    const createdAt = Date.parse(job.created_at || 0);
-    if (Number.isFinite(createdAt) && now - createdAt > JOB_TTL_MS) {
-      jobs.delete(id);
+module.exports = {
+  app,
+  ActionPolicy,
+  ActionRateLimiter,
+  AuditLog,
+  ChatBuffer,
+  ChatCommandRouter,
+  FileJobBackend,
+  JobStore,
+  MemoryAuditBackend,
+  OBSStreamController,
+  TwitchApiClient,
+  TwitchStreamRuntime,
+  TwitchTokenStore,
+  auditSideEffects,
+  canonicalJson,
+  deliverJobCallback,
+  jobStore,
+  logger,
+  nextCronTime,
+  parseAuditQuery,
+  parseCronExpression,
+  validateActionPayload,
+  validateBatchPayload,
+  validateSchedule
+};
+
+if (require.main === module) {
+  setInterval(() => {
+    jobStore.sweep();
+    actionRateLimiter.sweep();
+    for (const jobId of lastJobStatus.keys()) {
+      if (!jobStore.get(jobId)) lastJobStatus.delete(jobId);
+    }
+  }, 60_000);
+
+  if (TWITCH_EVENTSUB_ENABLED) {
+    for (const backend of streamRuntime.channels.values()) {
+      if (!backend.eventsub.isAvailable()) continue;
+      backend.eventsub.watchStream().catch((error) => {
+        logger.error('twitch eventsub failed to start', { channel: backend.name, error });
+      });
     }
   }
-  for (const [key, value] of idempotency) {
-    const job = jobs.get(value);
-    if (!job) idempotency.delete(key);
+
+  streamRuntime.on('interrupted', handleStreamInterrupted);
+
+  actionScheduler.start((job) => {
+    logContext.run(jobLogFields(job), () => {
+      logger.info('scheduled job due', { run_at: job.schedule.run_at, cron: job.schedule.cron || undefined });
+    });
+    fireScheduledJob(job).catch((error) => {
+      JobStore.failJob(job, error);
+      jobStore.save(job);
+    });
+  });
+
+  for (const backend of streamRuntime.channels.values()) {
+    backend.obs.on('state', (transition) => {
+      if (transition.to !== 'connected' && transition.from !== 'connected') return;
+      logger.log(transition.to === 'connected' ? 'info' : 'warn', 'obs connection', {
+        channel: backend.name,
+        from: transition.from,
+        to: transition.to,
+        reason: transition.reason
+      });
+    });
+    if (OBS_AUTO_CONNECT) {
+      backend.obs.supervise();
+    }
+    backend.health.start();
   }
-}, 60_000);
 
-app.listen(PORT, () => {
-  console.log(`twitch-clawcraft tool service listening on :${PORT}`);
-});
+  if (chatCommandRouter.enabled) {
+    for (const backend of streamRuntime.channels.values()) {
+      backend.chat.on('message', (message) => {
+        routeChatCommand(backend.name, message).catch((error) => {
+          logger.error('chat command failed', { channel: backend.name, message_id: message.id, error });
+        });
+      });
+    }
+  }
+
+  if (TWITCH_CHAT_INGEST || chatCommandRouter.enabled) {
+    for (const backend of streamRuntime.channels.values()) {
+      if (!backend.eventsub.isAvailable()) continue;
+      streamRuntime.watchChat(backend.name).catch((error) => {
+        logger.error('twitch chat ingestion failed to start', { channel: backend.name, error });
+      });
+    }
+  }
+
+  for (const job of jobStore.list()) {
+    if (JobStore.isTerminal(job) && job.callback?.status === 'pending') {
+      deliverJobCallback(job).catch(() => {});
+    }
+  }
+
+  app.listen(PORT, () => {
+    logger.info('twitch-clawcraft tool service listening', { port: PORT, log_level: LOG_LEVEL });
+    if (!auditVerification.ok) {
+      logger.error('audit log failed verification', auditVerification.error);
+    }
+    if (restoredJobs.jobs > 0) {
+      logger.info('restored jobs', { jobs: restoredJobs.jobs, interrupted: restoredJobs.interrupted });
+    }
+  });
+}
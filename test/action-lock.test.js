@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TwitchStreamRuntime } = require('./helpers/service');
+
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+test('actions for one agent run one at a time', async () => {
+  const runtime = new TwitchStreamRuntime();
+  const order = [];
+  const first = deferred();
+  const a = runtime._withActionLock('ag', async () => {
+    order.push('a');
+    await first.promise;
+  });
+  const b = runtime._withActionLock('ag', async () => order.push('b'));
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.deepEqual(order, ['a']);
+  first.resolve();
+  await Promise.all([a, b]);
+  assert.deepEqual(order, ['a', 'b']);
+});
+
+test('a job cancelled while waiting for the lock settles immediately', async () => {
+  const runtime = new TwitchStreamRuntime();
+  const first = deferred();
+  const holder = runtime._withActionLock('ag', () => first.promise);
+  const controller = new AbortController();
+  let ran = false;
+  const waiting = runtime._withActionLock('ag', async () => {
+    ran = true;
+  }, { signal: controller.signal });
+  const after = runtime._withActionLock('ag', async () => 'after');
+
+  controller.abort();
+  await assert.rejects(waiting, { name: 'AbortError' });
+  first.reject(new Error('holder failed'));
+  await assert.rejects(holder, /holder failed/);
+  assert.equal(await after, 'after');
+  assert.equal(ran, false);
+});
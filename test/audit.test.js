@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AuditLog, MemoryAuditBackend, auditSideEffects, canonicalJson, parseAuditQuery } = require('./helpers/service');
+
+function logWith(count) {
+  const log = new AuditLog(new MemoryAuditBackend());
+  for (let index = 1; index <= count; index += 1) {
+    log.append({ event: 'execute', action: 'twitch.set_title', args: { title: `t${index}` } });
+  }
+  return log;
+}
+
+test('canonicalJson ignores key order', () => {
+  assert.equal(canonicalJson({ b: 1, a: { d: [1, 2], c: null } }), canonicalJson({ a: { c: null, d: [1, 2] }, b: 1 }));
+});
+
+test('an untouched chain verifies', () => {
+  const log = logWith(3);
+  const result = log.verify();
+  assert.equal(result.ok, true);
+  assert.equal(result.last_seq, 3);
+  assert.equal(log.entries()[1].prev_hash, log.entries()[0].hash);
+});
+
+test('an edited entry breaks the chain at that entry', () => {
+  const log = logWith(3);
+  const entry = JSON.parse(log.backend.lines[1]);
+  entry.args.title = 'edited';
+  log.backend.lines[1] = JSON.stringify(entry);
+  const result = log.verify();
+  assert.equal(result.ok, false);
+  assert.deepEqual([result.error.line, result.error.seq], [2, 2]);
+  assert.match(result.error.reason, /edited/);
+});
+
+test('a removed entry is reported as a seq gap', () => {
+  const log = logWith(3);
+  log.backend.lines.splice(1, 1);
+  const result = log.verify();
+  assert.equal(result.ok, false);
+  assert.match(result.error.reason, /expected seq 2/);
+});
+
+test('truncation is detected from the head, also after new appends', () => {
+  const log = logWith(3);
+  log.backend.lines.pop();
+  assert.match(log.verify().error.reason, /truncated/);
+
+  const reopened = new AuditLog(log.backend);
+  reopened.load();
+  reopened.append({ event: 'execute' });
+  assert.equal(reopened.seq, 4);
+  assert.equal(reopened.verify().ok, false);
+});
+
+test('side effects follow the action and skip no-op results', () => {
+  assert.deepEqual(auditSideEffects('twitch.set_title', { title: 'Live' }), [{ target: 'twitch', change: 'title', title: 'Live' }]);
+  assert.deepEqual(auditSideEffects('twitch.stop_stream', {}, { status: 'already_stopped' }), []);
+  assert.deepEqual(auditSideEffects('obs.list_scenes', {}), []);
+  const started = auditSideEffects('twitch.start_stream', { channel: 'c', obs_scene: 'Main' }, { restarted: true, quality: { preset: '720p' } });
+  assert.deepEqual(started.map((effect) => effect.change), ['scene', 'quality_preset', 'stream_started']);
+  assert.equal(started[2].restarted, true);
+});
+
+test('audit queries parse filters, time bounds and the cursor', () => {
+  const parsed = parseAuditQuery({ agent_id: ' ops ', since: '2026-01-01T00:00:00Z', limit: '10', cursor: '42', ignored: 'x' });
+  assert.deepEqual(parsed.filters, { agent_id: 'ops', since: Date.parse('2026-01-01T00:00:00Z') });
+  assert.deepEqual(parsed.page, { limit: 10, before: 42 });
+  assert.match(parseAuditQuery({ until: 'yesterday' }).error, /until must be/);
+  assert.match(parseAuditQuery({ limit: '0' }).error, /limit must be/);
+  assert.match(parseAuditQuery({ cursor: 'abc' }).error, /cursor/);
+});
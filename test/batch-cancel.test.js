@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startFakeHelix } = require('./helpers/fake-helix');
+
+const delays = { slow: 200, undo: 1000 };
+const identity = { client_id: 'client', user_id: '1234', login: 'clawcraft', scopes: ['channel:manage:broadcast'], expires_in: 3600 };
+
+test('cancelling a batch with rollback answers before compensation and ends cancelled once', async (t) => {
+  const helix = await startFakeHelix((req, body) => (req.url === '/validate'
+    ? { body: identity }
+    : { status: 204, delayMs: delays[body?.title] || 0 }));
+  Object.assign(process.env, {
+    TWITCH_API_BASE_URL: helix.url,
+    TWITCH_AUTH_BASE_URL: helix.url,
+    TWITCH_CLIENT_ID: 'client',
+    TWITCH_OAUTH_TOKEN: 'token',
+    TWITCH_BROADCASTER_ID: '1234'
+  });
+  const { app, jobStore } = require('./helpers/service');
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  t.after(async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+    await helix.close();
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const post = (path, body) => fetch(`${base}${path}`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(body)
+  }).then(async (response) => ({ status: response.status, ...(await response.json()) }));
+
+  const { result } = await post('/tools/batch', {
+    request_id: 'cancel-1',
+    agent_id: 'operator',
+    steps: [
+      { id: 'first', action: 'twitch.set_title', args: { title: 'fast' }, compensate: { action: 'twitch.set_title', args: { title: 'undo' } } },
+      { id: 'second', action: 'twitch.set_title', args: { title: 'slow' } },
+      { id: 'third', action: 'twitch.set_title', args: { title: 'never' } }
+    ]
+  });
+  while (!helix.requests.some((request) => request.body?.title === 'slow')) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+
+  const cancel = await post(`/tools/jobs/${result.job_id}/cancel`, { rollback: true });
+  assert.equal(cancel.status, 202);
+  assert.equal(cancel.job.status, 'cancelling');
+  const cancelling = (await fetch(`${base}/tools/jobs/${result.job_id}`).then((response) => response.json())).job;
+  assert.equal(cancelling.status, 'cancelling');
+  assert.equal(cancelling.steps[0].compensation.status, 'pending');
+
+  let finished;
+  do {
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    finished = (await fetch(`${base}/tools/jobs/${result.job_id}`).then((response) => response.json())).job;
+  } while (finished.status === 'cancelling');
+  assert.equal(finished.status, 'cancelled');
+  assert.equal(finished.steps[0].compensation.status, 'done');
+  assert.deepEqual(finished.result.steps, { done: 2, skipped: 1 });
+  const terminal = jobStore.events.filter((entry) => entry.job.id === result.job_id && entry.event !== 'progress');
+  assert.deepEqual(terminal.map((entry) => entry.event), ['cancelled']);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateBatchPayload } = require('./helpers/service');
+
+const batch = (overrides = {}) => ({
+  request_id: 'golive-1',
+  agent_id: 'operator',
+  steps: [
+    { id: 'title', action: 'twitch.set_title', args: { title: 'Live' } },
+    {
+      action: 'twitch.start_stream',
+      args: { channel: 'clawcraft' },
+      compensate: { action: 'twitch.stop_stream', args: { channel: 'clawcraft' } }
+    }
+  ],
+  ...overrides
+});
+
+test('steps are normalized with default ids and per-step request ids', () => {
+  const { ok, normalized } = validateBatchPayload(batch());
+  assert.equal(ok, true);
+  assert.equal(normalized.on_error, 'stop');
+  assert.deepEqual(normalized.steps.map((step) => step.id), ['title', 'step_2']);
+  assert.equal(normalized.steps[1].normalized.request_id, 'golive-1.step_2');
+  assert.equal(normalized.steps[1].compensate.action, 'twitch.stop_stream');
+});
+
+test('invalid batches name the problem', () => {
+  const error = (overrides) => validateBatchPayload(batch(overrides)).error;
+  assert.match(error({ steps: [] }), /1-20/);
+  assert.match(error({ on_error: 'retry' }), /on_error/);
+  assert.match(error({ request_id: undefined }), /request_id required/);
+  assert.match(error({ steps: [{ id: 'a', action: 'twitch.set_title', args: { title: 'x' } }, { id: 'a', action: 'twitch.set_title', args: { title: 'y' } }] }), /duplicated/);
+  assert.match(error({ steps: [{ action: 'twitch.nope' }] }), /step "step_1"/);
+  assert.match(error({ steps: [{ action: 'twitch.set_title', args: { title: 'x' }, compensate: { action: 'twitch.set_title' } }] }), /compensate/);
+});
+
+test('a mission id stands in for request_id', () => {
+  const first = validateBatchPayload(batch({ request_id: undefined, mission_id: 'm-1' }));
+  const second = validateBatchPayload(batch({ request_id: undefined, mission_id: 'm-1' }));
+  assert.equal(first.normalized.request_id, second.normalized.request_id);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const http = require('node:http');
+
+process.env.TOOL_SERVICE_SIGNATURE_SECRET = 'callback-secret-0123456789';
+process.env.TOOL_CALLBACK_RETRIES = '2';
+const { JobStore, deliverJobCallback, jobStore } = require('./helpers/service');
+
+async function startReceiver(statuses) {
+  const deliveries = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      deliveries.push({ headers: req.headers, body, at: Date.now() });
+      res.writeHead(statuses[deliveries.length - 1] || 200).end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { url: `http://127.0.0.1:${server.address().port}/done`, deliveries, close: () => new Promise((resolve) => server.close(resolve)) };
+}
+
+function finishedJob(url) {
+  const job = JobStore.createJob({ action: 'twitch.set_title', args: { title: 'x' }, callbackUrl: url });
+  return jobStore.add(JobStore.completeJob(job, { status: 'updated' }));
+}
+
+test('callbacks are signed and retried with backoff until delivered', async (t) => {
+  const receiver = await startReceiver([500, 503, 200]);
+  t.after(() => receiver.close());
+  const job = finishedJob(receiver.url);
+
+  await deliverJobCallback(job);
+  const { deliveries } = receiver;
+  assert.equal(deliveries.length, 3);
+  for (const [index, delivery] of deliveries.entries()) {
+    const expected = crypto.createHmac('sha256', process.env.TOOL_SERVICE_SIGNATURE_SECRET).update(delivery.body).digest('hex');
+    assert.equal(delivery.headers['x-tool-signature'], `sha256=${expected}`);
+    assert.equal(delivery.headers['x-tool-delivery-attempt'], String(index + 1));
+    assert.equal(delivery.headers['x-tool-job-id'], job.id);
+  }
+  const payload = JSON.parse(deliveries[0].body);
+  assert.deepEqual([payload.ok, payload.job.id, payload.job.status], [true, job.id, 'done']);
+  assert.ok(deliveries[1].at - deliveries[0].at >= 900);
+  assert.ok(deliveries[2].at - deliveries[1].at >= 1900);
+
+  assert.equal(job.callback.status, 'delivered');
+  assert.deepEqual(job.callback.attempts.map((attempt) => attempt.status_code), [500, 503, 200]);
+  assert.match(job.callback.attempts[0].error, /HTTP 500/);
+});
+
+test('a callback that keeps failing is marked failed with its delivery log', async (t) => {
+  const receiver = await startReceiver([500, 500, 500]);
+  t.after(() => receiver.close());
+  const job = finishedJob(receiver.url);
+
+  await deliverJobCallback(job);
+  assert.equal(receiver.deliveries.length, 3);
+  assert.equal(job.callback.status, 'failed');
+  assert.match(job.callback.error, /HTTP 500/);
+  assert.equal(job.callback.attempts.length, 3);
+  assert.ok(job.callback.finished_at);
+  assert.equal(jobStore.get(job.id).callback.status, 'failed');
+});
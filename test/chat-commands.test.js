@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ChatCommandRouter } = require('./helpers/service');
+
+const router = () => new ChatCommandRouter({
+  commands: [
+    {
+      id: 'title',
+      command: 'title',
+      action: 'twitch.set_title',
+      args: { title: '{rest}' },
+      roles: ['moderator'],
+      global_cooldown_seconds: 60
+    }
+  ]
+});
+const message = (author, badges = []) => ({
+  id: `msg-${Math.random()}`,
+  author: { id: author, login: author },
+  badges: badges.map((setId) => ({ set_id: setId, id: '1' })),
+  text: '!title Speedrun night'
+});
+
+test('commands check roles and fill args from the message', () => {
+  const commands = router();
+  assert.equal(commands.evaluate('c', message('viewer')).skipped, 'role');
+  const decision = commands.evaluate('c', message('mod', ['moderator']));
+  assert.equal(decision.skipped, undefined);
+  assert.equal(decision.args.title, 'Speedrun night');
+});
+
+test('a command on cooldown is skipped', () => {
+  const commands = router();
+  assert.equal(commands.evaluate('c', message('mod', ['moderator']), { now: 0 }).skipped, undefined);
+  assert.equal(commands.evaluate('c', message('mod', ['moderator']), { now: 1000 }).skipped, 'cooldown');
+});
+
+test('messages sent by the service token are never routed', () => {
+  const commands = router();
+  const echo = message('bot-user', ['broadcaster']);
+  assert.equal(commands.evaluate('c', echo, { senderId: 'bot-user' }).skipped, 'self');
+  assert.equal(commands.stats.ignored_self, 1);
+});
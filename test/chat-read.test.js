@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.TWITCH_BROADCASTER_LOGIN = 'ClawCraft';
+const { app, ChatBuffer } = require('./helpers/service');
+const { startService } = require('./helpers/http');
+
+const buffer = (count, capacity = 10) => {
+  const chat = new ChatBuffer('clawcraft', capacity);
+  for (let index = 1; index <= count; index += 1) {
+    chat.push({ id: `m${index}`, text: `message ${index}`, timestamp: new Date(Date.UTC(2026, 0, 1, 12, 0, index)).toISOString() });
+  }
+  return chat;
+};
+const ids = (page) => page.messages.map((message) => message.id);
+
+test('reads page forward from a message id', () => {
+  const chat = buffer(5);
+  const first = chat.since(undefined, 2);
+  assert.deepEqual([ids(first), first.next_since, first.has_more, first.gap], [['m1', 'm2'], 'm2', true, false]);
+  const rest = chat.since(first.next_since, 10);
+  assert.deepEqual([ids(rest), rest.next_since, rest.has_more], [['m3', 'm4', 'm5'], 'm5', false]);
+  const empty = chat.since(rest.next_since, 10);
+  assert.deepEqual([ids(empty), empty.next_since], [[], 'm5']);
+});
+
+test('reads from an ISO time', () => {
+  assert.deepEqual(ids(buffer(5).since('2026-01-01T12:00:03.000Z', 10)), ['m4', 'm5']);
+});
+
+test('an id that fell out of the ring buffer reports a gap', () => {
+  const chat = buffer(5, 3);
+  assert.deepEqual(ids(chat.since(undefined, 10)), ['m3', 'm4', 'm5']);
+  const page = chat.since('m1', 10);
+  assert.deepEqual([ids(page), page.gap], [['m3', 'm4', 'm5'], true]);
+  assert.equal(chat.push({ id: 'm5' }), null);
+  assert.equal(new ChatBuffer('clawcraft').since('m1').gap, false);
+});
+
+test('without a channel registry only the broadcaster login is readable', async (t) => {
+  const service = await startService(app);
+  t.after(() => service.close());
+  const unknown = await service.get('/chat/someone-else/messages');
+  assert.deepEqual([unknown.status, unknown.body.error], [404, 'unknown channel "someone-else"']);
+  assert.equal((await service.get('/chat/clawcraft/messages')).status, 503);
+  assert.equal((await service.get('/chat/clawcraft/messages?limit=0')).status, 400);
+});
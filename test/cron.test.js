@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { nextCronTime, parseCronExpression, validateSchedule } = require('./helpers/service');
+
+const at = (iso) => Date.parse(iso);
+const next = (expression, iso) => new Date(nextCronTime(expression, at(iso))).toISOString();
+
+test('steps and ranges pick the next matching minute', () => {
+  assert.equal(next('*/15 * * * *', '2026-06-01T10:07:30Z'), '2026-06-01T10:15:00.000Z');
+  assert.equal(next('*/15 * * * *', '2026-06-01T10:15:00Z'), '2026-06-01T10:30:00.000Z');
+  assert.equal(next('0 9 * * 1-5', '2026-06-05T10:00:00Z'), '2026-06-08T09:00:00.000Z');
+});
+
+test('aliases and day-of-week 7 mean the usual thing', () => {
+  assert.equal(next('@monthly', '2026-01-31T12:00:00Z'), '2026-02-01T00:00:00.000Z');
+  assert.equal(next('0 0 * * 7', '2026-06-01T00:00:00Z'), next('0 0 * * 0', '2026-06-01T00:00:00Z'));
+});
+
+test('restricted day-of-month and day-of-week match either', () => {
+  assert.equal(next('0 0 13 * 5', '2026-02-01T00:00:00Z'), '2026-02-06T00:00:00.000Z');
+  assert.equal(next('0 0 1 * *', '2026-02-01T00:00:00Z'), '2026-03-01T00:00:00.000Z');
+});
+
+test('a stepped star day field is AND-ed with the other day field', () => {
+  assert.equal(next('0 0 1 * */2', '2026-01-02T00:00:00Z'), '2026-02-01T00:00:00.000Z');
+  assert.equal(next('0 0 */2 * 1', '2026-06-01T00:00:00Z'), '2026-06-15T00:00:00.000Z');
+});
+
+test('impossible dates never match', () => {
+  assert.equal(nextCronTime('0 0 31 2 *', at('2026-01-01T00:00:00Z')), null);
+});
+
+test('invalid expressions are rejected', () => {
+  assert.throws(() => parseCronExpression('* * * *'), /5 fields/);
+  assert.throws(() => parseCronExpression('60 * * * *'), /minute/);
+  assert.throws(() => parseCronExpression('* * * * mon'), /day of week/);
+});
+
+test('validateSchedule rejects past and far-away runs', () => {
+  assert.match(validateSchedule('2000-01-01T00:00:00Z').error, /past/);
+  assert.match(validateSchedule(new Date(Date.now() + 400 * 86_400_000).toISOString()).error, /within/);
+  const { schedule } = validateSchedule(undefined, '@hourly');
+  assert.equal(schedule.run_at, null);
+  assert.equal(Date.parse(schedule.first_run_at) % 3_600_000, 0);
+});
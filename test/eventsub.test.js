@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startFakeHelix } = require('./helpers/fake-helix');
+const { startFakeEventSub } = require('./helpers/fake-eventsub');
+
+const identity = { client_id: 'client', user_id: '1234', login: 'clawcraft', scopes: [], expires_in: 3600 };
+const state = { live: false };
+let helix;
+let eventsub;
+let TwitchStreamRuntime;
+
+test.before(async () => {
+  helix = await startFakeHelix((req, body) => {
+    const { pathname } = new URL(req.url, 'http://helix');
+    if (pathname === '/validate') return { body: identity };
+    if (pathname === '/streams') return { body: { data: state.live ? [{ type: 'live' }] : [] } };
+    if (pathname === '/eventsub/subscriptions') {
+      return { status: 202, body: { data: [{ id: `sub-${body.type}`, type: body.type, status: 'enabled' }] } };
+    }
+    return { status: 404 };
+  });
+  eventsub = await startFakeEventSub();
+  Object.assign(process.env, {
+    TWITCH_API_BASE_URL: helix.url,
+    TWITCH_AUTH_BASE_URL: helix.url,
+    TWITCH_EVENTSUB_WS_URL: eventsub.url,
+    TWITCH_API_RETRIES: '0',
+    TWITCH_CLIENT_ID: 'client',
+    TWITCH_OAUTH_TOKEN: 'token',
+    TWITCH_BROADCASTER_ID: '1234',
+    TWITCH_LIVE_CONFIRM_TIMEOUT_MS: '300'
+  });
+  ({ TwitchStreamRuntime } = require('./helpers/service'));
+});
+
+test.after(async () => {
+  await eventsub.close();
+  await helix.close();
+});
+
+function runtimeStartingObs(t, onStart = () => {}) {
+  const runtime = new TwitchStreamRuntime();
+  const backend = runtime.resolveChannel();
+  backend.obs.startStream = async () => {
+    onStart(backend);
+    return { status: 'started', stream: { active: true } };
+  };
+  t.after(() => backend.eventsub.stop());
+  return { runtime, backend };
+}
+
+test('a start is confirmed by the stream.online notification on the welcomed session', async (t) => {
+  state.live = false;
+  const { runtime } = runtimeStartingObs(t, () => {
+    setTimeout(() => eventsub.notify('stream.online', { broadcaster_user_id: '1234', type: 'live' }), 50);
+  });
+  const result = await runtime.startStream('operator', { wait_for_twitch: true });
+  assert.equal(result.twitch_live, true);
+  assert.deepEqual([result.twitch_confirmation.status, result.twitch_confirmation.via], ['confirmed', 'eventsub']);
+
+  const { id } = eventsub.sessions.at(-1);
+  const subscriptions = helix.requests.filter((request) => request.path === '/eventsub/subscriptions');
+  assert.deepEqual(subscriptions.map((request) => request.body.type), ['stream.online', 'stream.offline']);
+  for (const { body } of subscriptions) {
+    assert.deepEqual(body.condition, { broadcaster_user_id: '1234' });
+    assert.deepEqual(body.transport, { method: 'websocket', session_id: id });
+  }
+});
+
+test('without a notification the start falls back to Helix after the timeout', async (t) => {
+  state.live = false;
+  const { runtime } = runtimeStartingObs(t, () => {
+    state.live = true;
+  });
+  const result = await runtime.startStream('operator', { wait_for_twitch: true });
+  assert.deepEqual([result.twitch_confirmation.status, result.twitch_confirmation.via], ['confirmed', 'helix']);
+  assert.ok(result.twitch_confirmation.waited_ms >= 300);
+});
+
+test('an online event from before the start does not confirm it', async (t) => {
+  state.live = false;
+  const { runtime, backend } = runtimeStartingObs(t);
+  await backend.eventsub.watchStream();
+  const received = new Promise((resolve) => backend.eventsub.once('stream.online', resolve));
+  eventsub.notify('stream.online', { broadcaster_user_id: '1234', type: 'live' });
+  await received;
+  assert.equal(backend.eventsub.live, true);
+
+  const error = await runtime.startStream('operator', { wait_for_twitch: true }).then(() => null, (failure) => failure);
+  assert.match(error?.message, /did not report the stream online/);
+  assert.equal(error.result.twitch_confirmation.via, 'helix');
+  assert.equal(error.result.twitch_live, false);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { startFakeHelix } = require('./helpers/fake-helix');
+
+const identity = { client_id: 'client', user_id: '1234', login: 'clawcraft', scopes: ['channel:manage:broadcast'], expires_in: 3600 };
+
+test('an execute call is audited even when the client disconnects first', async (t) => {
+  let reached;
+  const patched = new Promise((resolve) => {
+    reached = resolve;
+  });
+  const helix = await startFakeHelix((req) => {
+    if (req.url === '/validate') return { body: identity };
+    reached();
+    return { delayMs: 200, body: {} };
+  });
+  Object.assign(process.env, {
+    TWITCH_API_BASE_URL: helix.url,
+    TWITCH_AUTH_BASE_URL: helix.url,
+    TWITCH_CLIENT_ID: 'client',
+    TWITCH_OAUTH_TOKEN: 'token',
+    TWITCH_BROADCASTER_ID: '1234'
+  });
+  const { app } = require('./helpers/service');
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  t.after(async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+    await helix.close();
+  });
+  const { port } = server.address();
+
+  const request = http.request({ port, method: 'POST', path: '/tools/execute', headers: { 'content-type': 'application/json' } });
+  request.on('error', () => {});
+  request.end(JSON.stringify({ agent_id: 'operator', action: 'twitch.set_title', args: { title: 'Live' } }));
+  await patched;
+  request.destroy();
+  await new Promise((resolve) => setTimeout(resolve, 400));
+
+  const response = await fetch(`http://127.0.0.1:${port}/audit?action=twitch.set_title`);
+  const { entries } = await response.json();
+  assert.equal(helix.requests.filter((entry) => entry.method === 'PATCH').length, 1);
+  assert.equal(entries.length, 1);
+  assert.equal(entries[0].status, 'done');
+  assert.deepEqual([entries[0].caller.token, entries[0].caller.signed], [false, false]);
+});
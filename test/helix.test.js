@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TwitchApiClient } = require('./helpers/service');
+const { startFakeHelix } = require('./helpers/fake-helix');
+
+function clientFor(helix, oauthToken, channelName = 'clawcraft') {
+  const client = new TwitchApiClient({ clientId: 'client', oauthToken, channelName, tokenStore: null });
+  client.apiBase = helix.url;
+  return client;
+}
+
+test('channels with the same token share one Helix bucket', () => {
+  const helix = { url: 'http://127.0.0.1:1' };
+  const first = clientFor(helix, 'shared-token', 'first');
+  assert.equal(clientFor(helix, 'shared-token', 'second').rateLimiter, first.rateLimiter);
+  assert.notEqual(clientFor(helix, 'other-token', 'first').rateLimiter, first.rateLimiter);
+});
+
+test('calls queue until the bucket resets instead of drawing a 429', async (t) => {
+  const helix = await startFakeHelix(() => ({ body: { data: [] } }), { limit: 2, windowMs: 500 });
+  t.after(() => helix.close());
+  const client = clientFor(helix, 'queue-token');
+
+  await client.request('GET', '/users');
+  await Promise.all([client.request('GET', '/users'), client.request('GET', '/users')]);
+  assert.deepEqual(helix.requests.map((request) => request.status), [200, 200, 200]);
+  assert.ok(helix.requests[2].at >= helix.requests[0].at + 500);
+  assert.equal(client.rateLimiter.status().queued, 0);
+});
+
+test('a 429 waits for the reset and is sent again, also for writes', async (t) => {
+  const helix = await startFakeHelix(() => ({ status: 204 }), { limit: 1, windowMs: 500 });
+  t.after(() => helix.close());
+  const client = clientFor(helix, 'throttled-token');
+
+  await Promise.all([
+    client.request('PATCH', '/channels', { body: { title: 'a' } }),
+    client.request('PATCH', '/channels', { body: { title: 'b' } })
+  ]);
+  assert.deepEqual(helix.requests.map((request) => request.status), [204, 429, 204]);
+  assert.ok(helix.requests[2].at >= helix.requests[0].at + 500);
+  assert.equal(client.rateLimiter.status().throttled, 1);
+});
+
+test('server errors are retried for GETs only', async (t) => {
+  let failures = 0;
+  const helix = await startFakeHelix((req) => {
+    if (req.method === 'POST' || failures < 1) {
+      failures += 1;
+      return { status: 503, body: { message: 'unavailable' } };
+    }
+    return { body: { data: [{ id: '1' }] } };
+  });
+  t.after(() => helix.close());
+  const client = clientFor(helix, 'flaky-token');
+
+  assert.deepEqual(await client.request('GET', '/users'), { data: [{ id: '1' }] });
+  await assert.rejects(client.request('POST', '/clips'), (error) => error.status === 503);
+  assert.deepEqual(helix.requests.map((request) => `${request.method} ${request.status}`), ['GET 503', 'GET 200', 'POST 503']);
+});
@@ -0,0 +1,55 @@
+const crypto = require('node:crypto');
+const { WebSocketServer } = require('ws');
+
+function envelope(messageType, payload, metadata = {}) {
+  return JSON.stringify({
+    metadata: {
+      message_id: crypto.randomUUID(),
+      message_type: messageType,
+      message_timestamp: new Date().toISOString(),
+      ...metadata
+    },
+    payload
+  });
+}
+
+// Greets every connection with a session_welcome; `notify` sends a
+// notification to every open session, as Twitch does once subscribed.
+async function startFakeEventSub({ keepaliveSeconds = 10 } = {}) {
+  const server = new WebSocketServer({ host: '127.0.0.1', port: 0 });
+  await new Promise((resolve) => server.once('listening', resolve));
+  const sessions = [];
+  server.on('connection', (socket) => {
+    const id = `session-${sessions.length + 1}`;
+    sessions.push({ id, socket });
+    socket.send(envelope('session_welcome', {
+      session: {
+        id,
+        status: 'connected',
+        connected_at: new Date().toISOString(),
+        keepalive_timeout_seconds: keepaliveSeconds,
+        reconnect_url: null
+      }
+    }));
+  });
+  return {
+    url: `ws://127.0.0.1:${server.address().port}`,
+    sessions,
+    notify(type, event) {
+      const message = envelope(
+        'notification',
+        { subscription: { type, version: '1', status: 'enabled' }, event },
+        { subscription_type: type, subscription_version: '1' }
+      );
+      for (const { socket } of sessions) {
+        if (socket.readyState === socket.OPEN) socket.send(message);
+      }
+    },
+    close() {
+      for (const { socket } of sessions) socket.terminate();
+      return new Promise((resolve) => server.close(resolve));
+    }
+  };
+}
+
+module.exports = { startFakeEventSub };
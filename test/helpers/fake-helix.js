@@ -0,0 +1,54 @@
+const http = require('node:http');
+
+// `route(req, body)` returns { status, headers, body, delayMs }. Responses carry
+// Ratelimit-* headers, and an empty bucket answers 429 without calling `route`.
+async function startFakeHelix(route, { limit = 800, windowMs = 60_000 } = {}) {
+  const requests = [];
+  const bucket = { remaining: limit, resetAt: 0 };
+  const server = http.createServer((req, res) => {
+    let text = '';
+    req.on('data', (chunk) => {
+      text += chunk;
+    });
+    req.on('end', async () => {
+      const body = /json/.test(req.headers['content-type'] || '') && text ? JSON.parse(text) : text || null;
+      const now = Date.now();
+      if (now >= bucket.resetAt) {
+        bucket.remaining = limit;
+        bucket.resetAt = now + windowMs;
+      }
+      const entry = { method: req.method, path: new URL(req.url, 'http://helix').pathname, body, at: now };
+      requests.push(entry);
+
+      let reply = { status: 429, body: { error: 'Too Many Requests', status: 429, message: 'rate limit exceeded' } };
+      if (bucket.remaining > 0) {
+        bucket.remaining -= 1;
+        reply = (await route(req, body)) || {};
+      }
+      entry.status = reply.status || 200;
+      if (reply.delayMs) {
+        await new Promise((resolve) => setTimeout(resolve, reply.delayMs));
+      }
+      res.writeHead(entry.status, {
+        'content-type': 'application/json',
+        'ratelimit-limit': String(limit),
+        'ratelimit-remaining': String(bucket.remaining),
+        'ratelimit-reset': String(Math.ceil(bucket.resetAt / 1000)),
+        ...reply.headers
+      });
+      res.end(JSON.stringify(reply.body ?? { data: [] }));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    bucket,
+    close() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    }
+  };
+}
+
+module.exports = { startFakeHelix };
@@ -0,0 +1,43 @@
+// Serves the exported app on a free local port.
+async function startService(app) {
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, path, body, headers = {}) {
+    const response = await fetch(`${base}${path}`, {
+      method,
+      headers: { 'content-type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    let json = null;
+    try {
+      json = text ? JSON.parse(text) : null;
+    } catch {
+      json = null;
+    }
+    return { status: response.status, headers: response.headers, text, body: json };
+  }
+
+  return {
+    base,
+    get: (path, headers) => request('GET', path, undefined, headers),
+    post: (path, body, headers) => request('POST', path, body, headers),
+    close() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    }
+  };
+}
+
+function parseEventStream(text) {
+  return text.split('\n\n')
+    .map((block) => Object.fromEntries(block.split('\n')
+      .filter((line) => /^(id|event|data):/.test(line))
+      .map((line) => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 1).trim()])))
+    .filter((event) => event.event)
+    .map((event) => ({ id: Number(event.id), event: event.event, data: JSON.parse(event.data) }));
+}
+
+module.exports = { parseEventStream, startService };
@@ -0,0 +1,5 @@
+process.env.TOOL_JOB_STORE = 'memory';
+process.env.TOOL_AUDIT_STORE = 'memory';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+module.exports = require('../../OBS-config');
@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JobStore, app, jobStore } = require('./helpers/service');
+const { startService } = require('./helpers/http');
+
+let service;
+test.before(async () => {
+  service = await startService(app);
+});
+test.after(() => service.close());
+
+test('a queued job that has not started is cancelled in the store', async () => {
+  const job = jobStore.add(JobStore.createJob({ action: 'twitch.start_stream', agentId: 'operator', args: { channel: 'c' } }));
+  const response = await service.post(`/tools/jobs/${job.id}/cancel`, { reason: 'not needed', rollback: true });
+  assert.equal(response.status, 202);
+  assert.equal(response.body.job.status, 'cancelled');
+  assert.equal(jobStore.get(job.id).result.reason, 'not needed');
+  assert.equal(jobStore.get(job.id).cancel.rollback, false);
+});
+
+test('finished jobs cannot be cancelled', async () => {
+  const job = jobStore.add(JobStore.completeJob(JobStore.createJob({ action: 'twitch.set_title', args: { title: 'x' } })));
+  const response = await service.post(`/tools/jobs/${job.id}/cancel`, {});
+  assert.equal(response.status, 409);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JobStore, app, jobStore } = require('./helpers/service');
+const { parseEventStream, startService } = require('./helpers/http');
+
+let service;
+test.before(async () => {
+  service = await startService(app);
+});
+test.after(() => service.close());
+
+function runningJob() {
+  const job = jobStore.add(JobStore.createJob({ action: 'twitch.set_title', agentId: 'operator', args: { title: 'x' } }));
+  job.status = 'running';
+  return jobStore.save(job);
+}
+
+test('a job stream replays what came after Last-Event-ID and closes on the terminal event', async () => {
+  const job = runningJob();
+  const firstId = job.event_seq;
+  job.progress = JobStore.buildProgress(50, 'halfway');
+  jobStore.save(job);
+  jobStore.save(JobStore.completeJob(job, { status: 'updated' }));
+
+  const response = await service.get(`/tools/jobs/${job.id}/events`, { 'last-event-id': String(firstId) });
+  const events = parseEventStream(response.text);
+  assert.deepEqual(events.map((event) => event.event), ['progress', 'done']);
+  assert.equal(events[0].id, firstId + 1);
+  assert.equal(events[0].data.progress.message, 'halfway');
+  assert.equal(events[1].data.result.status, 'updated');
+});
+
+test('a live job stream replays the job so far and ends with the terminal event', async () => {
+  const job = runningJob();
+  const pending = service.get(`/tools/jobs/${job.id}/events`);
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  jobStore.save(JobStore.failJob(job, 'boom'));
+
+  const events = parseEventStream((await pending).text);
+  assert.deepEqual(events.map((event) => event.event), ['progress', 'progress', 'failed']);
+  assert.deepEqual(events.slice(0, 2).map((event) => event.data.status), ['queued', 'running']);
+  assert.equal(events[2].data.result.error, 'boom');
+});
+
+test('a finished job with nothing newer answers 204', async () => {
+  const job = runningJob();
+  jobStore.save(JobStore.completeJob(job));
+  const response = await service.get(`/tools/jobs/${job.id}/events`, { 'last-event-id': String(job.event_seq) });
+  assert.equal(response.status, 204);
+});
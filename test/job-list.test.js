@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JobStore, app, jobStore } = require('./helpers/service');
+const { startService } = require('./helpers/http');
+
+let service;
+const ids = [];
+test.before(async () => {
+  service = await startService(app);
+  for (let index = 0; index < 5; index += 1) {
+    const job = JobStore.createJob({
+      action: index % 2 ? 'twitch.set_title' : 'twitch.start_stream',
+      agentId: index < 3 ? 'alpha' : 'beta',
+      missionId: 'm-1',
+      args: {}
+    });
+    job.created_at = new Date(Date.UTC(2026, 0, 1, 0, index)).toISOString();
+    if (index === 1) JobStore.failJob(job, 'boom');
+    jobStore.add(job);
+    ids.push(job.id);
+  }
+});
+test.after(() => service.close());
+
+test('pages run newest first and the cursor continues where the last page ended', async () => {
+  const seen = [];
+  let cursor = '';
+  do {
+    const { body } = await service.get(`/tools/jobs?mission_id=m-1&limit=2${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ''}`);
+    assert.ok(body.jobs.length <= 2);
+    seen.push(...body.jobs.map((job) => job.id));
+    cursor = body.next_cursor;
+  } while (cursor);
+  assert.deepEqual(seen, [...ids].reverse());
+});
+
+test('filters combine', async () => {
+  const byAgent = await service.get('/tools/jobs?agent_id=alpha&action=twitch.start_stream');
+  assert.deepEqual(byAgent.body.jobs.map((job) => job.id), [ids[2], ids[0]]);
+  const byStatus = await service.get('/tools/jobs?status=failed,cancelled');
+  assert.deepEqual(byStatus.body.jobs.map((job) => job.id), [ids[1]]);
+  const byTime = await service.get('/tools/jobs?created_after=2026-01-01T00:01:00Z&created_before=2026-01-01T00:03:00Z');
+  assert.deepEqual(byTime.body.jobs.map((job) => job.id), [ids[2], ids[1]]);
+});
+
+test('bad queries are rejected', async () => {
+  assert.match((await service.get('/tools/jobs?status=lost')).body.error, /status must be one of/);
+  assert.match((await service.get('/tools/jobs?limit=0')).body.error, /limit/);
+  assert.match((await service.get('/tools/jobs?cursor=nope')).body.error, /cursor/);
+  assert.match((await service.get('/tools/jobs?created_after=soon')).body.error, /created_after/);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { FileJobBackend, JobStore } = require('./helpers/service');
+
+const inDays = (days) => new Date(Date.now() + days * 86_400_000).toISOString();
+const scheduledJob = () => JobStore.createJob({ action: 'twitch.set_title', args: { title: 'Later' }, schedule: { run_at: inDays(30) } });
+
+test('finished jobs age from their last update, not from a future run time', () => {
+  const store = new JobStore();
+  const job = store.save(JobStore.cancelJob(scheduledJob()));
+  assert.equal(store.sweep(60_000), 0);
+
+  job.updated_at = inDays(-1);
+  assert.equal(store.sweep(60_000), 1);
+  assert.equal(store.get(job.id), null);
+});
+
+test('scheduled jobs are never swept', () => {
+  const store = new JobStore();
+  const job = scheduledJob();
+  job.updated_at = inDays(-1);
+  store.save(job, { publish: false });
+  assert.equal(store.sweep(60_000), 0);
+});
+
+test('a reloaded file store fails interrupted jobs and keeps idempotency keys', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'jobs.json');
+
+  const store = new JobStore(new FileJobBackend(filePath));
+  const running = JobStore.createJob({ action: 'twitch.start_stream', requestId: 'go-1', args: { channel: 'c' } });
+  running.status = 'running';
+  store.add(running, 'twitch.start_stream:go-1');
+  const done = store.add(JobStore.completeJob(JobStore.createJob({ action: 'twitch.set_title', args: { title: 'x' } })));
+
+  const reloaded = new JobStore(new FileJobBackend(filePath));
+  assert.deepEqual(reloaded.load(), { jobs: 2, interrupted: 1 });
+  const restored = reloaded.findByIdempotencyKey('twitch.start_stream:go-1');
+  assert.equal(restored.id, running.id);
+  assert.equal(restored.status, 'failed');
+  assert.equal(restored.result.reason, 'interrupted by restart');
+  assert.equal(reloaded.get(done.id).status, 'done');
+  assert.ok(restored.event_seq > done.event_seq);
+});
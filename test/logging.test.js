@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'info';
+process.env.TOOL_SERVICE_TOKEN = 'service-token-123';
+const { logger } = require('./helpers/service');
+
+function capture(fn) {
+  const lines = [];
+  const writes = [process.stdout.write, process.stderr.write];
+  for (const [index, stream] of [process.stdout, process.stderr].entries()) {
+    stream.write = (chunk) => {
+      lines.push({ stream: index === 0 ? 'stdout' : 'stderr', entry: JSON.parse(chunk) });
+      return true;
+    };
+  }
+  try {
+    fn();
+  } finally {
+    [process.stdout.write, process.stderr.write] = writes;
+  }
+  return lines;
+}
+
+test('secret-looking keys are redacted at any depth', () => {
+  const [{ entry }] = capture(() => logger.info('callback sent', {
+    url: 'https://example.test/hook',
+    headers: { Authorization: 'Bearer abc', 'x-tool-signature': 'sha256=00' },
+    twitch: { client_id: 'client', client_secret: 'shh', refresh_token: 'r1' },
+    attempts: [{ password: 'hunter2', status: 200 }]
+  }));
+  assert.equal(entry.url, 'https://example.test/hook');
+  assert.deepEqual(entry.headers, { Authorization: '[redacted]', 'x-tool-signature': '[redacted]' });
+  assert.deepEqual(entry.twitch, { client_id: 'client', client_secret: '[redacted]', refresh_token: '[redacted]' });
+  assert.deepEqual(entry.attempts, [{ password: '[redacted]', status: 200 }]);
+});
+
+test('credentials inside messages and errors are redacted', () => {
+  const [{ entry }] = capture(() => logger.info('helix said Bearer abcdef and oauth:xyz123', {
+    error: new Error('bad signature sha256=0123456789abcdef0123'),
+    detail: 'OAuth qwerty, then service-token-123'
+  }));
+  assert.equal(entry.msg, 'helix said Bearer [redacted] and oauth:[redacted]');
+  assert.equal(entry.error, 'bad signature sha256=[redacted]');
+  assert.equal(entry.detail, 'OAuth [redacted], then [redacted]');
+});
+
+test('levels below LOG_LEVEL are dropped and warnings go to stderr', () => {
+  const lines = capture(() => {
+    logger.debug('hidden');
+    logger.info('shown');
+    logger.warn('careful');
+  });
+  assert.deepEqual(lines.map(({ stream, entry }) => [stream, entry.level, entry.msg]), [
+    ['stdout', 'info', 'shown'],
+    ['stderr', 'warn', 'careful']
+  ]);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { app } = require('./helpers/service');
+const { startService } = require('./helpers/http');
+
+const SAMPLE = /^([a-z_]+)(\{(?:[a-z_]+="(?:[^"\\\n]|\\.)*",?)*\})? (-?\d+(?:\.\d+)?(?:e[+-]?\d+)?|[+-]Inf|NaN)$/;
+
+test('/metrics is Prometheus text format with counters, histograms and gauges', async (t) => {
+  const service = await startService(app);
+  t.after(() => service.close());
+  assert.equal((await service.post('/tools/execute', { agent_id: 'operator', action: 'twitch.nope', args: {} })).status, 400);
+
+  const response = await service.get('/metrics');
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+  assert.ok(response.text.endsWith('\n'));
+
+  const types = new Map();
+  const samples = new Map();
+  for (const line of response.text.trimEnd().split('\n')) {
+    const type = line.match(/^# TYPE (\S+) (counter|histogram|gauge)$/);
+    if (type) {
+      assert.ok(!types.has(type[1]), `${type[1]} declared twice`);
+      types.set(type[1], type[2]);
+      continue;
+    }
+    if (line.startsWith('# HELP ')) continue;
+    const sample = line.match(SAMPLE);
+    assert.ok(sample, `not a sample line: ${line}`);
+    const family = types.has(sample[1]) ? sample[1] : sample[1].replace(/_(bucket|sum|count)$/, '');
+    assert.ok(types.has(family), `${sample[1]} has no TYPE line`);
+    samples.set(`${sample[1]}${sample[2] || ''}`, Number(sample[3]));
+  }
+
+  assert.equal(types.get('clawcraft_tool_execute_requests_total'), 'counter');
+  assert.equal(samples.get('clawcraft_tool_execute_requests_total{action="invalid",status="400"}'), 1);
+
+  assert.equal(types.get('clawcraft_tool_execute_duration_seconds'), 'histogram');
+  const series = 'action="invalid",status="400"';
+  const buckets = [...samples]
+    .filter(([key]) => key.startsWith(`clawcraft_tool_execute_duration_seconds_bucket{${series},le=`))
+    .map(([, value]) => value);
+  assert.ok(buckets.length > 1);
+  assert.deepEqual(buckets, [...buckets].sort((a, b) => a - b));
+  assert.equal(samples.get(`clawcraft_tool_execute_duration_seconds_bucket{${series},le="+Inf"}`), 1);
+  assert.equal(samples.get(`clawcraft_tool_execute_duration_seconds_count{${series}}`), 1);
+
+  assert.equal(types.get('clawcraft_jobs_open'), 'gauge');
+  assert.equal(samples.get('clawcraft_jobs_open{status="queued"}'), 0);
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { OBSStreamController } = require('./helpers/service');
+
+function controller(options, responses = {}) {
+  const obs = new OBSStreamController({ sceneAllowlist: [], sourceAllowlist: [], qualityPresets: {}, ...options });
+  obs.calls = [];
+  obs.call = async (requestType, requestData = {}) => {
+    obs.calls.push({ requestType, requestData });
+    const response = responses[requestType];
+    return typeof response === 'function' ? response(requestData) : response;
+  };
+  return obs;
+}
+
+test('toggling a source in the program scene checks that scene against the allowlist', async () => {
+  const obs = controller(
+    { sceneAllowlist: ['Main'], sourceAllowlist: ['Cam'] },
+    { GetSceneList: { currentProgramSceneName: 'Backstage', scenes: [] }, GetSceneItemId: { sceneItemId: 3 } }
+  );
+  await assert.rejects(obs.setSourceVisibility({ source: 'Cam', visible: false }), /"Backstage" is not in the scene allowlist/);
+  assert.equal(obs.calls.some((call) => call.requestType === 'SetSceneItemEnabled'), false);
+
+  const result = await obs.setSourceVisibility({ scene: 'Main', source: 'Cam', visible: false });
+  assert.deepEqual(result, { status: 'updated', scene: 'Main', source: 'Cam', visible: false });
+});
+
+test('start_record reports the file of the recording it started', async () => {
+  let active = false;
+  const obs = controller({}, {
+    GetRecordStatus: () => ({ outputActive: active, outputPaused: false }),
+    GetRecordDirectory: { recordDirectory: '/videos' },
+    StartRecord: () => {
+      obs.obs.emit('RecordStateChanged', { outputActive: false, outputState: 'OBS_WEBSOCKET_OUTPUT_STARTING', outputPath: null });
+      active = true;
+      obs.obs.emit('RecordStateChanged', { outputActive: true, outputState: 'OBS_WEBSOCKET_OUTPUT_STARTED', outputPath: '/videos/second.mkv' });
+    },
+    StopRecord: () => {
+      active = false;
+      return { outputPath: '/videos/second.mkv' };
+    }
+  });
+  obs.obs.emit('RecordStateChanged', { outputActive: false, outputState: 'OBS_WEBSOCKET_OUTPUT_STOPPED', outputPath: '/videos/first.mkv' });
+
+  const started = await obs.startRecord();
+  assert.equal(started.output_path, '/videos/second.mkv');
+  assert.equal((await obs.stopRecord()).output_path, '/videos/second.mkv');
+});
+
+test('a recording started outside the service does not keep the previous file', () => {
+  const obs = controller();
+  obs.obs.emit('RecordStateChanged', { outputActive: false, outputState: 'OBS_WEBSOCKET_OUTPUT_STOPPED', outputPath: '/videos/first.mkv' });
+  obs.obs.emit('RecordStateChanged', { outputActive: true, outputState: 'OBS_WEBSOCKET_OUTPUT_STARTED', outputPath: null });
+  assert.equal(obs.lastRecordPath, null);
+});
+
+function fakeObs({ mode = 'Simple', failVideo = false } = {}) {
+  const state = { streaming: true, profile: 'Default', video: { outputWidth: 1280, outputHeight: 720, fpsNumerator: 30, fpsDenominator: 1 }, parameters: {} };
+  const obs = controller({
+    qualityPresets: { hq: { profile: 'HQ', width: 1920, height: 1080, fps: 60, bitrate_kbps: 6000 } }
+  }, {
+    GetStreamStatus: () => ({ outputActive: state.streaming }),
+    StartStream: () => {
+      state.streaming = true;
+    },
+    StopStream: () => {
+      state.streaming = false;
+    },
+    GetProfileList: () => ({ profiles: ['Default', 'HQ'], currentProfileName: state.profile }),
+    SetCurrentProfile: ({ profileName }) => {
+      state.profile = profileName;
+    },
+    GetVideoSettings: () => ({ ...state.video }),
+    SetVideoSettings: (video) => {
+      if (failVideo) throw new Error('video settings rejected');
+      Object.assign(state.video, video);
+    },
+    GetProfileParameter: ({ parameterCategory, parameterName }) => (parameterCategory === 'Output'
+      ? { parameterValue: mode }
+      : { parameterValue: state.parameters[parameterName] ?? null }),
+    SetProfileParameter: ({ parameterName, parameterValue }) => {
+      state.parameters[parameterName] = parameterValue;
+    }
+  });
+  return { obs, state };
+}
+
+test('a restart whose preset fails comes back live with the previous settings', async () => {
+  const { obs, state } = fakeObs({ failVideo: true });
+  const result = await obs.startStream({ quality: 'hq', restart: true });
+  assert.equal(state.streaming, true);
+  assert.equal(state.profile, 'Default');
+  assert.equal(result.restarted, true);
+  assert.match(result.quality.error, /video settings rejected; restarted with the previous settings/);
+});
+
+test('without a running stream a failing preset is undone and the start fails', async () => {
+  const { obs, state } = fakeObs({ failVideo: true });
+  state.streaming = false;
+  await assert.rejects(obs.startStream({ quality: 'hq' }), /video settings rejected/);
+  assert.equal(state.streaming, false);
+  assert.equal(state.profile, 'Default');
+});
+
+test('Simple output settings are only written in Simple output mode', async () => {
+  const simple = fakeObs();
+  const applied = await simple.obs.applyQualityPreset('hq', simple.obs.qualityPresets.hq);
+  assert.equal(applied.applied.bitrate_kbps, 6000);
+  assert.equal(simple.state.parameters.VBitrate, '6000');
+
+  const advanced = fakeObs({ mode: 'Advanced' });
+  const result = await advanced.obs.applyQualityPreset('hq', advanced.obs.qualityPresets.hq);
+  assert.equal(result.applied.bitrate_kbps, undefined);
+  assert.deepEqual(result.skipped, ['bitrate_kbps']);
+  assert.equal(result.output_mode, 'Advanced');
+  assert.equal(advanced.state.parameters.VBitrate, undefined);
+});
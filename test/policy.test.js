@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ActionPolicy } = require('./helpers/service');
+
+const document = {
+  default: 'deny',
+  rules: [
+    {
+      id: 'operators',
+      agents: ['op-*'],
+      actions: ['twitch.*'],
+      channels: ['clawcraft'],
+      daily_quota: { 'twitch.start_stream': 2 },
+      time_zone: 'UTC',
+      windows: [{ days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '14:00', end: '23:30' }]
+    }
+  ]
+};
+const call = (overrides = {}) => ({
+  agent_id: 'op-1',
+  action: 'twitch.set_title',
+  args: { channel: 'clawcraft' },
+  ...overrides
+});
+// 2026-06-01 is a Monday.
+const monday = (time) => new Date(`2026-06-01T${time}:00Z`);
+
+test('the first matching rule decides, and no match falls back to default', () => {
+  const policy = new ActionPolicy(document);
+  assert.equal(policy.evaluate(call(), monday('15:00')).allowed, true);
+  const denied = policy.evaluate(call({ agent_id: 'stranger' }), monday('15:00'));
+  assert.equal(denied.allowed, false);
+  assert.match(denied.reason, /no policy rule/);
+});
+
+test('actions and channels are matched against the rule', () => {
+  const policy = new ActionPolicy(document);
+  assert.match(policy.evaluate(call({ action: 'obs.set_scene' }), monday('15:00')).reason, /does not allow action/);
+  assert.match(policy.evaluate(call({ args: { channel: 'other' } }), monday('15:00')).reason, /channel "other"/);
+});
+
+test('windows bound the time of day and the weekday', () => {
+  const policy = new ActionPolicy(document);
+  assert.equal(policy.evaluate(call(), monday('13:59')).allowed, false);
+  assert.equal(policy.evaluate(call(), monday('23:29')).allowed, true);
+  assert.equal(policy.evaluate(call(), monday('23:30')).allowed, false);
+  assert.equal(policy.evaluate(call(), new Date('2026-06-06T15:00:00Z')).allowed, false);
+});
+
+test('the part of an overnight window after midnight belongs to the previous day', () => {
+  const policy = new ActionPolicy({
+    rules: [{ agents: ['op-*'], windows: [{ days: ['sat', 'sun'], start: '10:00', end: '02:00' }] }]
+  });
+  const at = (iso) => policy.evaluate(call(), new Date(iso)).allowed;
+  assert.equal(at('2026-06-06T09:59:00Z'), false);
+  assert.equal(at('2026-06-06T23:00:00Z'), true);
+  assert.equal(at('2026-06-07T01:59:00Z'), true);
+  assert.equal(at('2026-06-08T01:00:00Z'), true);
+  assert.equal(at('2026-06-08T02:00:00Z'), false);
+  assert.equal(at('2026-06-06T01:00:00Z'), false);
+});
+
+test('quota days follow the rule time zone', () => {
+  const policy = new ActionPolicy({
+    rules: [{ agents: ['op-*'], daily_quota: { '*': 1 }, time_zone: 'America/Los_Angeles' }]
+  });
+  const evening = new Date('2026-06-02T03:00:00Z');
+  policy.recordUsage(policy.evaluate(call(), evening), evening);
+  assert.equal(policy.evaluate(call(), new Date('2026-06-02T06:59:00Z')).allowed, false);
+  assert.equal(policy.evaluate(call(), new Date('2026-06-02T07:00:00Z')).allowed, true);
+});
+
+test('quota usage survives a restart', () => {
+  const usagePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'policy-')), 'usage.json');
+  const quotaDocument = { rules: [{ agents: ['op-*'], daily_quota: { '*': 1 } }] };
+  const policy = new ActionPolicy(quotaDocument, null, { usagePath });
+  policy.recordUsage(policy.evaluate(call()));
+  const restarted = new ActionPolicy(quotaDocument, null, { usagePath });
+  assert.match(restarted.evaluate(call()).reason, /quota of 1/);
+  fs.rmSync(path.dirname(usagePath), { recursive: true });
+});
+
+test('daily quotas count recorded usage', () => {
+  const policy = new ActionPolicy({ rules: [{ ...document.rules[0], windows: [] }] });
+  const start = call({ action: 'twitch.start_stream' });
+  for (let index = 0; index < 2; index += 1) {
+    const decision = policy.evaluate(start);
+    assert.equal(decision.allowed, true);
+    policy.recordUsage(decision);
+  }
+  assert.match(policy.evaluate(start).reason, /quota of 2/);
+  assert.equal(policy.evaluate(call()).allowed, true);
+});
+
+test('invalid documents are rejected', () => {
+  assert.throws(() => new ActionPolicy({ rules: [{ windows: [{ start: '25:00', end: '01:00' }] }] }), /HH:MM/);
+  assert.throws(() => new ActionPolicy({ rules: [{ time_zone: 'Nowhere/City' }] }), /time_zone/);
+  assert.throws(() => new ActionPolicy({ rules: [{ id: 'a' }, { id: 'a' }] }), /duplicated/);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ActionRateLimiter } = require('./helpers/service');
+
+const limits = {
+  classes: { stream: { burst: 2, per_minute: 4 } },
+  actions: { 'twitch.create_clip': { burst: 1, per_minute: 2 } }
+};
+
+test('a bucket admits its burst, then reports when the next token arrives', () => {
+  const limiter = new ActionRateLimiter(limits);
+  const now = 1_000_000;
+  assert.equal(limiter.take('twitch.start_stream', 'ag', 'c', now).remaining, 1);
+  assert.equal(limiter.take('twitch.start_stream', 'ag', 'c', now).allowed, true);
+  const denied = limiter.take('twitch.start_stream', 'ag', 'c', now);
+  assert.equal(denied.allowed, false);
+  assert.equal(denied.class, 'stream');
+  assert.equal(denied.retry_after_ms, 15_000);
+  assert.equal(limiter.take('twitch.start_stream', 'ag', 'c', now + 15_000).allowed, true);
+});
+
+test('per-action limits override the class limit', () => {
+  const limiter = new ActionRateLimiter(limits);
+  assert.equal(limiter.take('twitch.create_clip', 'ag', 'c', 0).limit, 1);
+  assert.equal(limiter.take('twitch.create_clip', 'ag', 'c', 0).allowed, false);
+});
+
+test('one agent calling at its full rate leaves the shared bucket open to others', () => {
+  const limiter = new ActionRateLimiter();
+  for (let now = 0; now <= 5 * 60_000; now += 1_000) {
+    while (limiter.take('twitch.set_title', 'busy', 'c', now).allowed);
+    if (now % 10_000 === 0) {
+      const other = limiter.take('twitch.set_title', 'quiet', 'c', now);
+      assert.equal(other.allowed, true, `second agent denied at ${now}ms by the ${other.scope} bucket`);
+    }
+  }
+  assert.equal(limiter.take('twitch.set_title', 'busy', 'c', 5 * 60_000).scope, 'agent');
+});
+
+test('agents share a ceiling per action', () => {
+  const limiter = new ActionRateLimiter({
+    actions: { 'twitch.create_clip': { burst: 1, per_minute: 2, shared: { burst: 2, per_minute: 4 } } }
+  });
+  assert.equal(limiter.take('twitch.create_clip', 'a', 'c', 0).allowed, true);
+  assert.equal(limiter.take('twitch.create_clip', 'b', 'c', 0).allowed, true);
+  const denied = limiter.take('twitch.create_clip', 'fresh-agent', 'c', 0);
+  assert.deepEqual([denied.allowed, denied.scope, denied.limit, denied.retry_after_ms], [false, 'shared', 2, 15_000]);
+  assert.equal(limiter.take('twitch.set_title', 'fresh-agent', 'c', 0).allowed, true);
+});
+
+test('the bucket closer to empty is reported', () => {
+  const limiter = new ActionRateLimiter(limits);
+  const allowed = limiter.take('twitch.create_clip', 'ag', 'c', 0);
+  assert.deepEqual([allowed.scope, allowed.limit, allowed.remaining], ['agent', 1, 0]);
+  const denied = limiter.take('twitch.create_clip', 'ag', 'c', 0);
+  assert.deepEqual([denied.scope, denied.retry_after_ms], ['agent', 30_000]);
+  assert.equal(limiter.sharedBuckets.get('twitch.create_clip').tokens, 9);
+});
+
+test('full buckets are swept', () => {
+  const limiter = new ActionRateLimiter(limits);
+  limiter.take('twitch.start_stream', 'ag', 'c', 0);
+  limiter.sweep(60_000);
+  assert.equal(limiter.status().buckets, 0);
+});
+
+test('unknown classes and actions are rejected', () => {
+  assert.throws(() => new ActionRateLimiter({ classes: { bulk: { burst: 1, per_minute: 1 } } }), /must be one of/);
+  assert.throws(() => new ActionRateLimiter({ actions: { 'twitch.nope': { burst: 1, per_minute: 1 } } }), /not a supported action/);
+  assert.throws(() => new ActionRateLimiter({ classes: { write: { burst: 0, per_minute: 1 } } }), /burst/);
+  assert.throws(() => new ActionRateLimiter({ classes: { write: { burst: 10, per_minute: 60, shared: { burst: 10, per_minute: 30 } } } }), /at least the per-agent limit/);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startFakeHelix } = require('./helpers/fake-helix');
+const { startService } = require('./helpers/http');
+
+let helix;
+let service;
+let validation;
+const identity = (scopes) => ({ body: { client_id: 'client', user_id: '1234', login: 'clawcraft', scopes, expires_in: 0 } });
+
+test.before(async () => {
+  helix = await startFakeHelix((req) => (req.url === '/validate' ? validation() : { status: 204 }));
+  Object.assign(process.env, {
+    TWITCH_API_BASE_URL: helix.url,
+    TWITCH_AUTH_BASE_URL: helix.url,
+    TWITCH_API_RETRIES: '0',
+    TWITCH_CLIENT_ID: 'client',
+    TWITCH_OAUTH_TOKEN: 'token',
+    TWITCH_BROADCASTER_ID: '1234',
+    OBS_WS_URL: 'ws://127.0.0.1:1'
+  });
+  service = await startService(require('./helpers/service').app);
+});
+test.after(async () => {
+  await service.close();
+  await helix.close();
+});
+
+const setTitle = () => service.post('/tools/execute', { agent_id: 'operator', action: 'twitch.set_title', args: { title: 'Live' } });
+const patches = () => helix.requests.filter((request) => request.method === 'PATCH').length;
+
+test('an action is not run when its scopes cannot be checked', async () => {
+  validation = () => ({ status: 500, body: { message: 'unavailable' } });
+  const response = await setTitle();
+  assert.equal(response.status, 503);
+  assert.equal(response.body.error, 'scope_check_failed');
+  assert.match(response.body.message, /twitch\.set_title/);
+  assert.equal(patches(), 0);
+});
+
+test('a token missing a scope is rejected before Helix is called', async () => {
+  validation = () => identity(['user:read:chat']);
+  const response = await setTitle();
+  assert.equal(response.status, 403);
+  assert.deepEqual(response.body.missing_scopes, ['channel:manage:broadcast']);
+  assert.equal(patches(), 0);
+
+  validation = () => identity(['channel:manage:broadcast']);
+  assert.equal((await setTitle()).status, 200);
+  assert.equal(patches(), 1);
+});
+
+test('preflight reports the scopes of every Twitch action', async () => {
+  validation = () => identity(['channel:manage:broadcast', 'user:read:chat']);
+  const response = await service.get('/preflight');
+  assert.equal(response.status, 503);
+  const checks = Object.fromEntries(response.body.channels[0].checks.map((check) => [check.id, check]));
+  assert.equal(checks['obs.connection'].ok, false);
+  assert.equal(checks['twitch.token'].ok, true);
+  assert.equal(checks['twitch.scopes.twitch.set_title'].ok, true);
+  assert.equal(checks['twitch.scopes.twitch.read_chat'].ok, true);
+  assert.deepEqual(checks['twitch.scopes.twitch.create_clip'].detail.missing_scopes, ['clips:edit']);
+  assert.equal(checks['twitch.scopes.twitch.create_clip'].severity, 'warning');
+  assert.equal(checks['twitch.broadcaster'].detail.broadcaster_id, '1234');
+});
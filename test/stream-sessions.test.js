@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TwitchStreamRuntime } = require('./helpers/service');
+
+function runtimeWithObs() {
+  const runtime = new TwitchStreamRuntime();
+  const backend = runtime.resolveChannel();
+  const state = { streaming: true };
+  backend.obs.call = async (requestType) => {
+    if (requestType === 'GetStreamStatus') return { outputActive: state.streaming };
+    if (requestType === 'StopStream') {
+      state.streaming = false;
+      backend.obs.emit('stream', { active: false, output_state: 'OBS_WEBSOCKET_OUTPUT_STOPPED' });
+    }
+    return {};
+  };
+  const interrupted = [];
+  runtime.on('interrupted', (event) => interrupted.push(event));
+  return { runtime, backend, state, interrupted };
+}
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+test('a stop by another agent ends every session on the channel', async () => {
+  const { runtime, interrupted } = runtimeWithObs();
+  runtime._setSession('starter', undefined, { state: 'running', metadata: {} });
+  await runtime.stopStream('operator', {});
+  await settle();
+  assert.equal(runtime._getSession('starter').state, 'stopped');
+  assert.equal(runtime._getSession('starter').stopped_by, 'operator');
+  assert.deepEqual(interrupted, []);
+});
+
+test('an output that stops on its own still interrupts running sessions', async () => {
+  const { runtime, state, interrupted } = runtimeWithObs();
+  runtime._setSession('starter', undefined, { state: 'running', metadata: {} });
+  state.streaming = false;
+  await runtime.reconcileSessions();
+  assert.equal(runtime._getSession('starter').state, 'interrupted');
+  assert.equal(interrupted.length, 1);
+});
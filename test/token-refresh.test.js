@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { startFakeHelix } = require('./helpers/fake-helix');
+
+let helix;
+let route;
+let service;
+test.before(async () => {
+  helix = await startFakeHelix((req, body) => route(req, body));
+  process.env.TWITCH_AUTH_BASE_URL = helix.url;
+  service = require('./helpers/service');
+});
+test.after(() => helix.close());
+test.beforeEach(() => {
+  helix.requests.length = 0;
+});
+
+function clientFor(t, credentials) {
+  const client = new service.TwitchApiClient({ clientId: 'client', clientSecret: 'secret', ...credentials });
+  client.apiBase = helix.url;
+  t.after(() => clearTimeout(client.refreshTimer));
+  return client;
+}
+
+test('a 401 refreshes the token once, retries, and persists the rotated token', async (t) => {
+  route = (req) => {
+    if (req.url === '/token') {
+      return { body: { access_token: 'rotated-access', refresh_token: 'rotated-refresh', expires_in: 14400, scope: ['user:read:chat'] } };
+    }
+    if (req.headers.authorization !== 'Bearer rotated-access') {
+      return { status: 401, body: { message: 'Invalid OAuth token' } };
+    }
+    return { body: { data: [{ id: '1' }] } };
+  };
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tokens-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const storePath = path.join(dir, 'tokens.json');
+  const credentials = { oauthToken: 'expired-access', refreshToken: 'first-refresh', channelName: 'clawcraft' };
+
+  const client = clientFor(t, { ...credentials, tokenStore: new service.TwitchTokenStore(storePath) });
+  assert.deepEqual(await client.request('GET', '/users'), { data: [{ id: '1' }] });
+  assert.deepEqual(helix.requests.map((request) => `${request.path} ${request.status}`), ['/users 401', '/token 200', '/users 200']);
+  assert.match(helix.requests[1].body, /grant_type=refresh_token&refresh_token=first-refresh/);
+
+  const saved = JSON.parse(fs.readFileSync(storePath, 'utf8')).clawcraft;
+  assert.deepEqual([saved.access_token, saved.refresh_token], ['rotated-access', 'rotated-refresh']);
+  const restarted = clientFor(t, { ...credentials, tokenStore: new service.TwitchTokenStore(storePath) });
+  assert.equal(restarted.oauthToken, 'rotated-access');
+});
+
+test('a second 401 after refreshing is not retried again', async (t) => {
+  route = (req) => (req.url === '/token'
+    ? { body: { access_token: 'still-bad', expires_in: 14400 } }
+    : { status: 401, body: { message: 'Invalid OAuth token' } });
+
+  const client = clientFor(t, { oauthToken: 'bad', refreshToken: 'r', channelName: 'other', tokenStore: null });
+  await assert.rejects(client.request('POST', '/clips'), (error) => error.status === 401);
+  assert.deepEqual(helix.requests.map((request) => request.path), ['/clips', '/token', '/clips']);
+});